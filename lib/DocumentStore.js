@@ -1,14 +1,69 @@
 /*!
- * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as documentPurges from './documentPurges.js';
+import * as documentUsage from './documentUsage.js';
 import assert from 'assert-plus';
 import {coerceCacheConfig} from './helpers.js';
+import {createHash} from 'node:crypto';
+import {logger} from './logger.js';
 import {LruCache} from '@digitalbazaar/lru-memoize';
+import PQueue from 'p-queue';
+
+const {util: {BedrockError}} = bedrock;
+
+// maximum `limit` supported by EDV queries
+const MAX_EDV_LIMIT = 1000;
+// EDV queries only match attribute values (they cannot be sorted or resumed
+// from a cursor), so each EDV document is placed in buckets that can be
+// queried in order to page through any query: `meta.buckets` has, for each
+// tag that applies to the document, the tag followed by each prefix (of
+// length 0 to `BUCKET_DEPTH`) of the hex-encoded hash of the document's EDV
+// ID; see `_findPage()`
+const BUCKET_DEPTH = 4;
+const HEX_DIGITS = '0123456789abcdef';
+// prior versions of documents are also placed in buckets by the prefixes of
+// a key for their sequence (see `_getSequenceKey()`) so that they can be
+// paged through in order; each key is in its own bucket
+const SEQUENCE_BUCKET_DEPTH = 15;
+// number of prior versions to delete at once
+const VERSION_DELETE_BATCH_SIZE = 100;
+// `meta.type` for EDV documents that store prior versions of documents
+const VERSION_META_TYPE = 'DocumentVersion';
+// `meta.type` for soft deleted documents; the original `meta.type` is kept
+// in `meta.deleted.type`
+const DELETED_META_TYPE = 'DeletedDocument';
+// indexes ensured for every document store
+const BUILT_IN_INDEXES = [
+  // index to find by ID
+  {attribute: 'content.id', unique: true},
+  // index to find by type
+  {attribute: 'content.type'},
+  // index to find by `meta.type`; this index is typically only populated
+  // server-side, whereas `content.type` may be populated via user input
+  {attribute: 'meta.type'},
+  // index to find prior versions of a document (by its `content.id`)
+  {attribute: ['meta.versionOf', 'meta.sequence'], unique: true},
+  // index to page through documents by bucket; documents that are soft
+  // deleted or that expire are also in `purge` buckets so they can be purged
+  {attribute: 'meta.buckets'}
+];
+const BUILT_IN_INDEX_KEYS = new Set(BUILT_IN_INDEXES.map(
+  ({attribute}) => JSON.stringify([].concat(attribute))));
 
 /**
  * Each instance of this API is associated with a single EDV client and
  * performs initialization (ensures required indexes are created).
+ *
+ * Whenever a document is created, updated, deleted, or restored (including
+ * when an expired document is purged), a
+ * `bedrock-service-agent.document.changed` event is emitted with
+ * `{serviceObjectId, serviceType, change}` where `change` is
+ * `{operation, id, type, sequence, date}`: the operation (`created`,
+ * `updated`, `deleted`, or `restored`), the document's `content.id`, its
+ * `meta.type`, its EDV document `sequence` after the change (or when it was
+ * deleted), and the time of the change in ms since the epoch.
  */
 export class DocumentStore {
   /**
@@ -20,30 +75,82 @@ export class DocumentStore {
    * @param {object} options.serviceObjectId - The ID of the service object
    *   this storage instance is for.
    * @param {object} options.edvClient - An `EdvClient` instance to use.
+   * @param {string} [options.serviceType] - The service type of the service
+   *   object; required to schedule purges of soft deleted documents.
+   * @param {string} [options.meterId] - The ID of the meter for the service
+   *   object; when given, the meter is notified whenever document usage
+   *   changes so that its storage usage will be reported.
+   * @param {Array<object>} [options.indexes=[]] - Additional indexes to
+   *   ensure; see `ensureIndexes()`.
    */
-  constructor({serviceObjectId, edvClient} = {}) {
+  constructor({
+    serviceObjectId, edvClient, serviceType, meterId, indexes = []
+  } = {}) {
     assert.string(serviceObjectId, 'serviceObjectId');
     assert.object(edvClient, 'edvClient');
+    assert.optionalString(serviceType, 'serviceType');
+    assert.optionalString(meterId, 'meterId');
     this.edvClient = edvClient;
     this.serviceObjectId = serviceObjectId;
+    this.serviceType = serviceType;
+    this.meterId = meterId;
+    // map of JSON-encoded attributes => `unique` for ensured indexes
+    this.indexes = new Map();
     // create cache for EDV docs
     const cfg = bedrock.config['service-agent'];
     const cacheConfig = coerceCacheConfig(cfg.caches.document);
     this.cache = new LruCache(cacheConfig);
 
     // setup EDV indexes...
+    this.ensureIndexes({indexes: [...BUILT_IN_INDEXES, ...indexes]});
+  }
 
-    // index to find by ID
-    edvClient.ensureIndex({attribute: 'content.id', unique: true});
-    // index to find by type
-    edvClient.ensureIndex({attribute: 'content.type'});
-    // index to find by `meta.type`; this index is typically only populated
-    // server-side, whereas `content.type` may be populated via user input
-    edvClient.ensureIndex({attribute: 'meta.type'});
+  /**
+   * Ensures the given EDV indexes are used when documents are written and
+   * can be used to find documents via `find()`. Indexed attribute values are
+   * blinded using the service object's HMAC key. An index that has already
+   * been ensured is skipped.
+   *
+   * Note: EDV documents are indexed when they are written, so documents that
+   * were written before an index was ensured are not indexed (and are not
+   * checked against a `unique` index) until they are written again; they
+   * will not be found via the index by `find()`.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.indexes - The indexes to ensure; each is
+   *   `{attribute, unique}` where `attribute` is an attribute name (e.g.,
+   *   `content.email`) or an array of attribute names for a compound index;
+   *   each name must start with `content.` or `meta.`; `unique` is optional
+   *   and defaults to `false`.
+   */
+  ensureIndexes({indexes} = {}) {
+    assert.arrayOfObject(indexes, 'indexes');
+    for(const {attribute, unique = false} of indexes) {
+      const attributes = Array.isArray(attribute) ? attribute : [attribute];
+      if(!(attributes.length > 0 && attributes.every(
+        a => typeof a === 'string' && /^(content|meta)\../.test(a)))) {
+        throw new TypeError(
+          'Index "attribute" must be a string or an array of strings that ' +
+          'start with "content." or "meta.".');
+      }
+      assert.bool(unique, 'unique');
+      const key = JSON.stringify(attributes);
+      const existing = this.indexes.get(key);
+      if(existing === unique) {
+        continue;
+      }
+      if(existing !== undefined) {
+        throw new Error(
+          `Index ${key} already exists with a different "unique" value.`);
+      }
+      this.indexes.set(key, unique);
+      this.edvClient.ensureIndex({attribute, unique});
+    }
   }
 
   /**
-   * Gets a document by the ID of its content.
+   * Gets a document by the ID of its content. Soft deleted and expired
+   * documents are treated as not found.
    *
    * @param {object} options - The options to use.
    * @param {string} options.id - The ID of the object.
@@ -53,33 +160,165 @@ export class DocumentStore {
    * @returns {Promise<object>} The EDV document for the stored object.
    */
   async get({id, useCache = true} = {}) {
+    let doc;
     if(useCache) {
       const fn = () => this._getUncachedDoc({id});
-      return this.cache.memoize({key: id, fn});
+      doc = await this.cache.memoize({key: id, fn});
+    } else {
+      doc = await this._getUncachedDoc({id});
     }
 
-    return this._getUncachedDoc({id});
+    // a cached document may have expired since it was cached
+    if(_isExpired({doc})) {
+      throw _createNotFoundError();
+    }
+    return doc;
+  }
+
+  /**
+   * Finds documents by their `meta.type` and/or by indexed attributes (see
+   * `ensureIndexes()`). Results are paginated; if there may be more
+   * documents than `limit`, a `cursor` is returned that can be passed, with
+   * the same query, to get the next page.
+   *
+   * Soft deleted, expired, and prior versions of documents are omitted.
+   *
+   * Note: EDV queries do not support cursors or sorting, so documents are
+   * paged through by the buckets they are placed in when they are written
+   * (see `meta.buckets`); each page only fetches about `limit` documents.
+   * Documents are returned in no particular order but are never repeated
+   * across pages; documents written while paging may be skipped. Documents
+   * that were written before buckets were added (or, for `has`, before the
+   * index was ensured) are not found until they are written again.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.type] - The `meta.type` of the documents to
+   *   find.
+   * @param {object|Array<object>} [options.equals] - An object with indexed
+   *   attribute names and the values they must equal, or an array of such
+   *   objects, any of which may match.
+   * @param {string|Array<string>} [options.has] - The name of an attribute
+   *   with an index ensured via `ensureIndexes()` (not a compound index), or
+   *   an array of them, that documents must have; this may not be combined
+   *   with `type` or `equals`.
+   * @param {number} [options.limit=100] - The maximum number of documents to
+   *   return (1-1000).
+   * @param {string} [options.cursor] - An opaque cursor from a previous call.
+   *
+   * @returns {Promise<object>} Resolves to `{documents, cursor}` where
+   *   `documents` are EDV documents and `cursor` is only present if there
+   *   may be more documents.
+   */
+  async find({type, equals, has, limit = 100, cursor} = {}) {
+    assert.optionalString(type, 'type');
+    if(!(equals === undefined || _isObjectOrArrayOfObjects(equals))) {
+      throw new TypeError('"equals" must be an object or array of objects.');
+    }
+    if(!(has === undefined || typeof has === 'string' ||
+      (Array.isArray(has) && has.length > 0 &&
+      has.every(x => typeof x === 'string')))) {
+      throw new TypeError('"has" must be a string or array of strings.');
+    }
+    if(type === undefined && equals === undefined && has === undefined) {
+      throw new TypeError('One of "type", "equals", or "has" is required.');
+    }
+    if(has !== undefined && !(type === undefined && equals === undefined)) {
+      throw new TypeError('"has" cannot be combined with "type" or "equals".');
+    }
+    assert.number(limit, 'limit');
+    assert.optionalString(cursor, 'cursor');
+    _assertLimit({limit});
+
+    // `has` queries cannot be combined with bucket values, so documents that
+    // have the first attribute are tagged with it and any other attributes
+    // are checked after the documents are fetched
+    let tag = 'all';
+    let filters = [{}];
+    let others = [];
+    if(has !== undefined) {
+      const [first, ...rest] = [].concat(has);
+      others = rest;
+      if(!this._getHasTagAttributes().includes(first)) {
+        throw new BedrockError(
+          `"has" attribute "${first}" must have an index ensured via ` +
+          '"ensureIndexes()".', {
+            name: 'DataError',
+            details: {httpStatusCode: 400, public: true}
+          });
+      }
+      tag = `has:${first}`;
+    } else {
+      if(equals !== undefined) {
+        filters = [].concat(equals);
+      }
+      if(type !== undefined) {
+        filters = filters.map(filter => ({...filter, 'meta.type': type}));
+      }
+    }
+
+    // fetch pages, skipping any documents that should be omitted, until the
+    // page is full
+    let next = cursor === undefined ? {} : _decodeCursor({cursor});
+    const documents = [];
+    while(next && documents.length < limit) {
+      const page = await this._findPage({
+        equals: filters, tag, limit: limit - documents.length, cursor: next
+      });
+      documents.push(...page.documents.filter(doc => !(_isExpired({doc}) ||
+        _isDeleted({doc}) || doc.meta.type === VERSION_META_TYPE) &&
+        others.every(attribute =>
+          _getAttribute({doc, attribute}) !== undefined)));
+      next = page.cursor;
+    }
+    const result = {documents};
+    if(next) {
+      result.cursor = _encodeCursor({cursor: next});
+    }
+    return result;
   }
 
   /**
    * Upserts a document in EDV storage, overwriting any previous version if
-   * one exists.
+   * one exists. A soft deleted or expired document is overwritten as if it
+   * did not exist, unless the `precondition` rejects it. The configured
+   * document limits for the service type are enforced; a document that is
+   * too large is rejected with a `DataError` and a write that would exceed
+   * the service object's quota is rejected with a `QuotaExceededError`.
    *
    * @param {object} options - The options to use.
    * @param {object} options.content - The content to upsert; it will be set as
    *   the `content` of the EDV document; "content.id" must be a string.
-   * @param {object} [options.meta={}] - Custom meta data to set.
+   * @param {object} [options.meta={}] - Custom meta data to set; if
+   *   `meta.expires` is set to a time (in ms since the epoch), the document
+   *   will be treated as not found after that time and then purged.
    * @param {Function} [options.mutator] - A function that takes the options
    *   `({doc, content, meta})` that is called if an existing document is
    *   found and that must return the document to use to update the existing
    *   document; if not provided, the existing `content` and `meta` fields
    *   will be overwritten.
+   * @param {boolean} [options.allowCreate=true] - `false` to throw a
+   *   `NotFoundError` instead of creating a new document if no existing
+   *   document is found.
+   * @param {Function} [options.precondition] - A function that takes the
+   *   options `({doc})` that is called with a soft deleted or expired
+   *   document (with its original `meta.type`) before it is replaced; it may
+   *   throw to abort the replacement.
+   * @param {boolean} [options.history=false] - `true` to keep the previous
+   *   version of an existing document as a separate EDV document that can
+   *   be retrieved via `getVersion()` and `listVersions()`.
    *
    * @returns {Promise<object>} - The stored EDV document.
    */
-  async upsert({content, meta = {}, mutator} = {}) {
+  async upsert({
+    content, meta = {}, mutator, allowCreate = true, precondition,
+    history = false
+  } = {}) {
     assert.object(content, 'content');
     assert.object(meta, 'meta');
+    assert.bool(allowCreate, 'allowCreate');
+    assert.optionalFunc(precondition, 'precondition');
+    assert.bool(history, 'history');
+    assert.optionalNumber(meta.expires, 'meta.expires');
     if(mutator !== undefined) {
       // mutator may be false or a function
       if(!(mutator === false || typeof mutator === 'function')) {
@@ -92,15 +331,41 @@ export class DocumentStore {
       throw new TypeError('"content.id" must be a string.');
     }
 
+    if(meta.expires !== undefined) {
+      // schedule purge before writing the document so that an expiring
+      // document is always purged
+      await this._schedulePurge({after: meta.expires});
+    }
+
     // get previous document and overwrite if it exists; loop to handle
     // concurrent updates
     let result;
+    let created;
     while(true) {
       let doc;
       let isNew = false;
+      let previous;
+      let previousSize = 0;
       try {
-        doc = await this.get({id: content.id, useCache: false});
-        if(mutator) {
+        doc = await this._getUncachedDoc(
+          {id: content.id, includeDeleted: true});
+        previousSize = _getSize({doc});
+        if(history) {
+          // copy the previous version before the mutator can modify it
+          previous = structuredClone(doc);
+        }
+        // replacing a soft deleted or expired document creates a document
+        created = _isDeleted({doc}) || _isExpired({doc});
+        if(created) {
+          if(!allowCreate) {
+            throw _createNotFoundError();
+          }
+          // replace soft deleted or expired document without calling the
+          // mutator
+          await precondition?.({doc: _toUndeleted({doc})});
+          doc.meta = meta;
+          doc.content = content;
+        } else if(mutator) {
           doc = await mutator({doc, content, meta});
         } else {
           // just overwrite directly
@@ -108,28 +373,53 @@ export class DocumentStore {
           doc.content = content;
         }
       } catch(e) {
-        if(e.name !== 'NotFoundError') {
+        if(e.name !== 'NotFoundError' || !allowCreate) {
           throw e;
         }
-        isNew = true;
+        isNew = created = true;
         doc = {
           id: await this.edvClient.generateId(),
           content, meta
         };
       }
 
+      // reserve usage before writing; it is released if the write fails
+      doc = this._setBuckets({doc});
+      const size = _getSize({doc});
+      this._assertSize({size});
+      const usage = {documents: isNew ? 1 : 0, bytes: size - previousSize};
+      await this._reserveUsage(usage);
+
       try {
+        if(previous) {
+          await this._insertVersion({doc: previous});
+        }
         result = await this.edvClient.update({doc});
         break;
       } catch(e) {
+        await this._addUsage(
+          {documents: -usage.documents, bytes: -usage.bytes});
         // see if the duplication happened because of `content.id`, if so,
         // try again
         if(e.name === 'DuplicateError' && isNew) {
-          await this.get({id: content.id, useCache: false});
+          try {
+            await this._getUncachedDoc(
+              {id: content.id, includeDeleted: true});
+          } catch(e2) {
+            // no document with `content.id`, so the duplicate is for another
+            // unique index
+            if(e2.name === 'NotFoundError') {
+              throw await this._toDuplicateError({doc, cause: e});
+            }
+            throw e2;
+          }
           // no exception, so document was created while we were trying to
           // update, so loop to try again to update the existing doc instead
           continue;
         }
+        if(e.name === 'DuplicateError') {
+          throw await this._toDuplicateError({doc, cause: e});
+        }
         if(e.name !== 'InvalidStateError') {
           throw e;
         }
@@ -140,6 +430,128 @@ export class DocumentStore {
     // clear cache
     this.cache.delete(content.id);
 
+    await this._emitChange(
+      {operation: created ? 'created' : 'updated', doc: result});
+
+    return result;
+  }
+
+  /**
+   * Performs many upsert and delete operations with bounded concurrency.
+   * Each operation is performed independently; a failed operation does not
+   * stop any other operation and its error is returned in its result.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array<object>} options.operations - The operations to perform;
+   *   each is either `{type: 'upsert', ...options}` with the options for
+   *   `upsert()` or `{type: 'delete', ...options}` with the options for
+   *   `delete()`.
+   * @param {number} [options.concurrency=4] - The maximum number of
+   *   operations to perform at once.
+   *
+   * @returns {Promise<Array<object>>} - Resolves to a result for each
+   *   operation, in order: `{doc}` for an upsert, `{deleted, doc}` for a
+   *   delete, or `{error}` if the operation failed.
+   */
+  async upsertMany({operations, concurrency = 4} = {}) {
+    assert.arrayOfObject(operations, 'operations');
+    assert.number(concurrency, 'concurrency');
+    for(const {type} of operations) {
+      if(!(type === 'upsert' || type === 'delete')) {
+        throw new TypeError(
+          'Each operation "type" must be "upsert" or "delete".');
+      }
+    }
+
+    const queue = new PQueue({autoStart: true, concurrency});
+    return Promise.all(operations.map(
+      ({type, ...options}) => queue.add(async () => {
+        try {
+          if(type === 'upsert') {
+            return {doc: await this.upsert(options)};
+          }
+          return await this.delete(options);
+        } catch(error) {
+          return {error};
+        }
+      })));
+  }
+
+  /**
+   * Gets a prior version of a document that was stored via `upsert()` with
+   * the `history` option.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the object (its `content.id`).
+   * @param {number} options.sequence - The `sequence` of the document when
+   *   it was replaced by a later version.
+   *
+   * @returns {Promise<object>} Resolves to the version as
+   *   `{id, sequence, content, meta, created}` where `created` is when the
+   *   version was replaced.
+   */
+  async getVersion({id, sequence} = {}) {
+    assert.string(id, 'id');
+    assert.number(sequence, 'sequence');
+
+    const {documents: [doc]} = await this.edvClient.find({
+      equals: {
+        'meta.versionOf': id,
+        'meta.sequence': sequence,
+        'meta.type': VERSION_META_TYPE
+      },
+      limit: 1
+    });
+    if(!doc || _isExpired({doc})) {
+      throw new BedrockError('Document version not found.', {
+        name: 'NotFoundError',
+        details: {id, sequence, httpStatusCode: 404, public: true}
+      });
+    }
+    return _toVersion({doc});
+  }
+
+  /**
+   * Lists the prior versions of a document that were stored via `upsert()`
+   * with the `history` option. Versions are kept for the configured
+   * `documents.history.retention` and results are paginated; if there may be
+   * more versions than `limit`, a `cursor` is returned that can be passed,
+   * with the same `id`, to get the next page.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the object (its `content.id`).
+   * @param {number} [options.limit=100] - The maximum number of versions to
+   *   return (1-1000).
+   * @param {string} [options.cursor] - An opaque cursor from a previous call.
+   *
+   * @returns {Promise<object>} Resolves to `{versions, cursor}` where
+   *   `versions` are the versions, oldest first, each as
+   *   `{id, sequence, content, meta, created}` where `created` is when the
+   *   version was replaced, and `cursor` is only present if there may be
+   *   more versions.
+   */
+  async listVersions({id, limit = 100, cursor} = {}) {
+    assert.string(id, 'id');
+    assert.number(limit, 'limit');
+    assert.optionalString(cursor, 'cursor');
+    _assertLimit({limit});
+
+    // versions are in buckets by sequence, so each page is in order
+    const page = await this._findPage({
+      equals: [{'meta.versionOf': id, 'meta.type': VERSION_META_TYPE}],
+      tag: 'sequence', depth: SEQUENCE_BUCKET_DEPTH, limit,
+      cursor: cursor === undefined ? {} :
+        _decodeCursor({cursor, depth: SEQUENCE_BUCKET_DEPTH})
+    });
+    const result = {
+      versions: page.documents
+        .filter(doc => !_isExpired({doc}))
+        .map(doc => _toVersion({doc}))
+        .sort((a, b) => a.sequence - b.sequence)
+    };
+    if(page.cursor) {
+      result.cursor = _encodeCursor({cursor: page.cursor});
+    }
     return result;
   }
 
@@ -153,23 +565,48 @@ export class DocumentStore {
    * @param {string} [options.id] - The ID of the credential.
    * @param {string} [options.docId] - The ID of the EDV document storing the
    *   credential.
+   * @param {Function} [options.precondition] - A function that takes the
+   *   options `({doc})` that is called with the existing document before it
+   *   is deleted; it may throw to abort the deletion; throwing an error
+   *   named `NotFoundError` is treated as if the document was not found.
+   * @param {boolean} [options.history=false] - `true` to also delete any
+   *   prior versions of the document kept via `upsert()`; versions of a soft
+   *   deleted document are deleted when it is purged.
+   * @param {boolean} [options.soft=false] - `true` to mark the document as
+   *   deleted instead of deleting it; it can be restored via `restore()`
+   *   until it is purged after the retention period.
+   * @param {number} [options.retention] - The time (in ms) to keep a soft
+   *   deleted document before it is purged; defaults to the configured
+   *   `documents.softDelete.retention`.
    *
    * @returns {Promise<object>} - An object with `{deleted: boolean, doc}`
    *   where `deleted` is set to true if anything was deleted; `doc` is only
    *   set if the deleted document was found.
    */
-  async delete({id, docId} = {}) {
+  async delete({
+    id, docId, precondition, history = false, soft = false, retention
+  } = {}) {
     if(!(id || docId)) {
       throw new TypeError('Either "id" or "docId" must be a string.');
     }
     if(id && docId) {
       throw new Error('Only one of "id" or "docId" may be given.');
     }
+    assert.optionalFunc(precondition, 'precondition');
+    assert.bool(history, 'history');
+    assert.bool(soft, 'soft');
+    assert.optionalNumber(retention, 'retention');
+    if(soft && retention === undefined) {
+      ({retention} = bedrock.config['service-agent'].documents.softDelete);
+    }
 
     // loop to handle concurrent updates
+    let result;
     while(true) {
       try {
-        return await this._delete({id, docId});
+        result = await this._delete(
+          {id, docId, precondition, soft, retention});
+        break;
       } catch(e) {
         if(e.name !== 'InvalidStateError') {
           throw e;
@@ -177,23 +614,463 @@ export class DocumentStore {
         // loop to try again
       }
     }
+
+    if(history && result.deleted && !soft) {
+      // versions are not kept for deleted documents so that they are not
+      // mixed with versions of a new document created with the same ID
+      await this._deleteVersions({id: result.doc.content.id});
+    }
+    return result;
+  }
+
+  /**
+   * Restores a document that was soft deleted via `delete()` and that has
+   * not yet been purged.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the object (its `content.id`).
+   * @param {Function} [options.precondition] - A function that takes the
+   *   options `({doc})` that is called with the document as it will be
+   *   restored; it may throw to abort the restoration.
+   *
+   * @returns {Promise<object>} - The restored EDV document.
+   */
+  async restore({id, precondition} = {}) {
+    assert.string(id, 'id');
+    assert.optionalFunc(precondition, 'precondition');
+
+    // loop to handle concurrent updates
+    let result;
+    let previousSize;
+    while(true) {
+      let doc = await this._getUncachedDoc({id, includeDeleted: true});
+      // a document can no longer be restored once its retention has passed,
+      // even if it has not been purged yet
+      if(!_isDeleted({doc}) || _isExpired({doc}) ||
+        doc.meta.deleted.expires <= Date.now()) {
+        throw _createNotFoundError();
+      }
+      previousSize = _getSize({doc});
+      doc = this._setBuckets({doc: _toUndeleted({doc})});
+      if(precondition) {
+        await precondition({doc});
+      }
+      try {
+        result = await this.edvClient.update({doc});
+        break;
+      } catch(e) {
+        if(e.name !== 'InvalidStateError') {
+          throw e;
+        }
+        // loop to try again
+      }
+    }
+
+    // clear cache
+    this.cache.delete(id);
+
+    await this._addUsage({bytes: _getSize({doc: result}) - previousSize});
+    await this._emitChange({operation: 'restored', doc: result});
+
+    return result;
+  }
+
+  /**
+   * Permanently deletes any soft deleted documents whose retention period has
+   * passed and any documents whose `meta.expires` time has passed (and their
+   * prior versions) or, for prior versions, whose retention has passed.
+   * This is called by the document purge sweeper and does not need to be
+   * called directly.
+   *
+   * @returns {Promise<object>} Resolves to `{purged, next}` where `purged`
+   *   is the number of documents purged and `next` is the earliest time (in
+   *   ms since the epoch) at which another document can be purged, if any.
+   */
+  async purge() {
+    const {documents: {purge: {batchSize}}} = bedrock.config['service-agent'];
+    const now = Date.now();
+    let purged = 0;
+    let next;
+    // page through the documents that can be purged a batch at a time;
+    // purging documents does not affect the buckets that are yet to be paged
+    let cursor = {};
+    while(cursor) {
+      let documents;
+      ({documents, cursor} = await this._findPage(
+        {equals: [{}], tag: 'purge', limit: batchSize, cursor}));
+      for(const doc of documents) {
+        const expires = _getPurgeTime({doc});
+        if(expires > now) {
+          next = next === undefined ? expires : Math.min(next, expires);
+          continue;
+        }
+        if(await this._purgeDocument({doc})) {
+          purged++;
+        }
+      }
+    }
+    return {purged, next};
+  }
+
+  /**
+   * Computes the document usage for the service object from the documents
+   * stored in the EDV, in the same way that it is tracked as documents are
+   * written: every document (including soft deleted and expired documents
+   * that have not yet been purged) counts toward `documents` and `bytes`
+   * and prior versions count toward `bytes` only. This is used to reconcile
+   * tracked usage and does not need to be called directly.
+   *
+   * Documents are fetched a batch at a time (see
+   * `documents.usage.reconcile.batchSize`). An `InvalidStateError` is thrown
+   * if any document was written before documents were placed in buckets
+   * (see `find()`), as it could not be counted.
+   *
+   * @returns {Promise<object>} Resolves to `{documents, bytes}`.
+   */
+  async computeUsage() {
+    // every document written by this API has a `meta.type`, but only those
+    // with buckets can be paged through
+    const [{count: total}, {count: bucketed}] = await Promise.all([
+      this.edvClient.find({has: 'meta.type', count: true}),
+      this.edvClient.find({equals: {'meta.buckets': 'all:'}, count: true})
+    ]);
+    if(total > bucketed) {
+      throw new BedrockError(
+        'Usage cannot be computed until documents written without buckets ' +
+        'are written again.', {
+          name: 'InvalidStateError',
+          details: {total, bucketed, httpStatusCode: 500, public: false}
+        });
+    }
+
+    const {documents: {usage: {reconcile: {batchSize}}}} =
+      bedrock.config['service-agent'];
+    let documents = 0;
+    let bytes = 0;
+    let cursor = {};
+    while(cursor) {
+      let docs;
+      ({documents: docs, cursor} = await this._findPage(
+        {equals: [{}], tag: 'all', limit: batchSize, cursor}));
+      for(const doc of docs) {
+        if(doc.meta.type !== VERSION_META_TYPE) {
+          documents++;
+        }
+        bytes += _getSize({doc});
+      }
+    }
+    return {documents, bytes};
   }
 
-  async _getUncachedDoc({id}) {
+  // called from `purge` to purge a single document; returns whether it was
+  // purged
+  async _purgeDocument({doc}) {
+    try {
+      await this.edvClient.delete({doc});
+    } catch(e) {
+      // skip documents that were deleted, restored, or replaced concurrently
+      if(e.name === 'NotFoundError' || e.name === 'InvalidStateError') {
+        return false;
+      }
+      throw e;
+    } finally {
+      this.cache.delete(doc.content.id);
+    }
+    if(doc.meta.type === VERSION_META_TYPE) {
+      // versions only count toward bytes, not documents
+      await this._addUsage({bytes: -_getSize({doc})});
+      return true;
+    }
+    await this._addUsage({documents: -1, bytes: -_getSize({doc})});
+    await this._deleteVersions({id: doc.content.id});
+    if(!_isDeleted({doc})) {
+      // soft deleted documents were already reported as deleted
+      await this._emitChange({operation: 'deleted', doc});
+    }
+    return true;
+  }
+
+  async _deleteVersions({id}) {
+    // delete versions in batches until none are found
+    while(true) {
+      const {documents} = await this.edvClient.find({
+        equals: {'meta.versionOf': id, 'meta.type': VERSION_META_TYPE},
+        limit: VERSION_DELETE_BATCH_SIZE
+      });
+      if(documents.length === 0) {
+        return;
+      }
+      const sizes = await Promise.all(documents.map(async doc => {
+        try {
+          await this.edvClient.delete({doc});
+          return _getSize({doc});
+        } catch(e) {
+          // ignore versions deleted concurrently
+          if(e.name !== 'NotFoundError') {
+            throw e;
+          }
+          return 0;
+        }
+      }));
+      // versions only count toward bytes, not documents
+      await this._addUsage({bytes: -sizes.reduce((a, b) => a + b, 0)});
+    }
+  }
+
+  // finds a page of up to `limit` EDV documents that match any of the
+  // `equals` filters and that are in the buckets for `tag` (with keys of up
+  // to `depth` digits); buckets are traversed in order, using `count`
+  // queries to find buckets that are small enough to fetch in full; returns
+  // `{documents, cursor}` where `cursor` (`{bucket, after}`) is present if
+  // there may be more documents
+  async _findPage({
+    equals, tag, depth = BUCKET_DEPTH, limit,
+    cursor: {bucket = '', after} = {}
+  }) {
+    const documents = [];
+    while(bucket !== undefined && documents.length < limit) {
+      const remaining = limit - documents.length;
+      const query = equals.map(
+        filter => ({...filter, 'meta.buckets': `${tag}:${bucket}`}));
+      const {count} = await this.edvClient.find({equals: query, count: true});
+      if(count === 0) {
+        bucket = _getNextBucket({bucket});
+        after = undefined;
+        continue;
+      }
+      if(count > remaining && bucket.length < depth && after === undefined) {
+        // too many documents to fetch, descend into the bucket's first child
+        bucket += HEX_DIGITS[0];
+        continue;
+      }
+      if(count > MAX_EDV_LIMIT) {
+        throw new BedrockError(
+          'Too many documents match the query to page through them.', {
+            name: 'DataError',
+            details: {count, httpStatusCode: 400, public: true}
+          });
+      }
+      // documents in a bucket are ordered by EDV ID so that a page can end
+      // within the bucket
+      const {documents: docs} = await this.edvClient.find(
+        {equals: query, limit: count});
+      const next = docs
+        .filter(({id}) => after === undefined || id > after)
+        .sort(({id: a}, {id: b}) => a < b ? -1 : a > b ? 1 : 0);
+      documents.push(...next.slice(0, remaining));
+      if(next.length > remaining) {
+        return {documents, cursor: {bucket, after: documents.at(-1).id}};
+      }
+      bucket = _getNextBucket({bucket});
+      after = undefined;
+    }
+    return {documents, cursor: bucket === undefined ? undefined : {bucket}};
+  }
+
+  // gets the attributes of the indexes that `find()` can use with `has`
+  _getHasTagAttributes() {
+    const attributes = [];
+    for(const key of this.indexes.keys()) {
+      const attribute = JSON.parse(key);
+      if(attribute.length === 1 && !BUILT_IN_INDEX_KEYS.has(key)) {
+        attributes.push(attribute[0]);
+      }
+    }
+    return attributes;
+  }
+
+  // sets the `meta.buckets` of an EDV document that is about to be written
+  _setBuckets({doc}) {
+    const tags = ['all'];
+    if(_isDeleted({doc}) || doc.meta.expires !== undefined) {
+      tags.push('purge');
+    }
+    for(const attribute of this._getHasTagAttributes()) {
+      if(_getAttribute({doc, attribute}) !== undefined) {
+        tags.push(`has:${attribute}`);
+      }
+    }
+    const hash = createHash('sha256').update(doc.id).digest('hex');
+    const buckets = [];
+    for(const tag of tags) {
+      for(let i = 0; i <= BUCKET_DEPTH; ++i) {
+        buckets.push(`${tag}:${hash.slice(0, i)}`);
+      }
+    }
+    if(doc.meta.type === VERSION_META_TYPE) {
+      const key = _getSequenceKey({sequence: doc.meta.sequence});
+      for(let i = 0; i <= key.length; ++i) {
+        buckets.push(`sequence:${key.slice(0, i)}`);
+      }
+    }
+    return {...doc, meta: {...doc.meta, buckets}};
+  }
+
+  async _emitChange({operation, doc}) {
+    const {serviceObjectId, serviceType} = this;
+    const change = {
+      operation,
+      id: doc.content.id,
+      type: _isDeleted({doc}) ? doc.meta.deleted.type : doc.meta.type,
+      sequence: doc.sequence,
+      date: Date.now()
+    };
+    try {
+      await bedrock.events.emit(
+        'bedrock-service-agent.document.changed',
+        {serviceObjectId, serviceType, change});
+    } catch(error) {
+      // the change has already been written, so do not fail the operation
+      logger.error('Error in document change event handler.', {error});
+    }
+  }
+
+  async _getUncachedDoc({id, includeDeleted = false}) {
     const {documents: [doc]} = await this.edvClient.find({
       equals: {'content.id': id},
       limit: 1
     });
-    if(!doc) {
-      const err = new Error('Document not found.');
-      err.name = 'NotFoundError';
-      throw err;
+    if(!doc || (!includeDeleted && _isDeleted({doc}))) {
+      throw _createNotFoundError();
     }
     return doc;
   }
 
+  // creates a public error for a document that conflicts with another
+  // document on a declared unique index, naming the index's attribute if the
+  // conflicting document can be found
+  async _toDuplicateError({doc, cause}) {
+    let attribute;
+    for(const [key, unique] of this.indexes) {
+      if(!unique || BUILT_IN_INDEX_KEYS.has(key)) {
+        continue;
+      }
+      const attributes = JSON.parse(key);
+      const values = attributes.map(a => _getAttribute({doc, attribute: a}));
+      if(values.some(v => v === undefined || (v && typeof v === 'object'))) {
+        // not indexed or cannot be matched by a single query
+        continue;
+      }
+      const equals = Object.fromEntries(
+        attributes.map((a, i) => [a, values[i]]));
+      const {documents} = await this.edvClient.find({equals, limit: 2});
+      if(documents.some(({id}) => id !== doc.id)) {
+        attribute = attributes.length === 1 ? attributes[0] : attributes;
+        break;
+      }
+    }
+    const message = attribute === undefined ?
+      'Duplicate document.' :
+      `Duplicate document; the value of ${JSON.stringify(attribute)} must ` +
+      'be unique.';
+    return new BedrockError(message, {
+      name: 'DuplicateError',
+      details: {
+        attribute,
+        httpStatusCode: 409,
+        public: true
+      },
+      cause
+    });
+  }
+
+  async _schedulePurge({after}) {
+    const {serviceType, serviceObjectId} = this;
+    if(serviceType) {
+      await documentPurges.schedule({serviceType, serviceObjectId, after});
+    }
+  }
+
+  async _softDelete({doc, retention}) {
+    const now = Date.now();
+    const expires = now + retention;
+    // schedule purge before marking the document so that a marked document
+    // is always purged
+    await this._schedulePurge({after: expires});
+    const deleted = this._setBuckets({doc: {
+      ...doc,
+      meta: {
+        ...doc.meta,
+        type: DELETED_META_TYPE,
+        deleted: {type: doc.meta.type, date: now, expires}
+      }
+    }});
+    const result = await this.edvClient.update({doc: deleted});
+    // soft deleted documents still count toward usage until purged
+    await this._addUsage({bytes: _getSize({doc: deleted}) - _getSize({doc})});
+    return result;
+  }
+
+  // called from `upsert` to keep the previous version of a document
+  async _insertVersion({doc: {content, meta, sequence}}) {
+    // the version has its own buckets, not those of the document
+    meta = {...meta};
+    delete meta.buckets;
+    const {documents: {history: {retention}}} =
+      bedrock.config['service-agent'];
+    const created = Date.now();
+    let doc = {
+      id: await this.edvClient.generateId(),
+      content: {content, meta},
+      meta: {
+        type: VERSION_META_TYPE,
+        versionOf: content.id,
+        sequence,
+        created
+      }
+    };
+    if(retention !== null) {
+      // schedule purge before writing the version so that it is always
+      // purged
+      doc.meta.expires = created + retention;
+      await this._schedulePurge({after: doc.meta.expires});
+    }
+    doc = this._setBuckets({doc});
+    // versions only count toward bytes, not documents
+    const bytes = _getSize({doc});
+    await this._reserveUsage({bytes});
+    try {
+      await this.edvClient.insert({doc});
+    } catch(e) {
+      await this._addUsage({bytes: -bytes});
+      // the same version may already have been kept by a concurrent or
+      // previously failed update
+      if(e.name !== 'DuplicateError') {
+        throw e;
+      }
+    }
+  }
+
+  async _reserveUsage({documents = 0, bytes = 0}) {
+    const {serviceObjectId, serviceType, meterId} = this;
+    const limits = documentUsage.getLimits({serviceType});
+    await documentUsage.reserve(
+      {serviceObjectId, serviceType, meterId, documents, bytes, limits});
+  }
+
+  async _addUsage({documents = 0, bytes = 0}) {
+    const {serviceObjectId, serviceType, meterId} = this;
+    await documentUsage.add(
+      {serviceObjectId, serviceType, meterId, documents, bytes});
+  }
+
+  _assertSize({size}) {
+    const {maxDocumentBytes} = documentUsage.getLimits(
+      {serviceType: this.serviceType});
+    if(maxDocumentBytes !== null && size > maxDocumentBytes) {
+      throw new BedrockError('Document is too large.', {
+        name: 'DataError',
+        details: {
+          size, maxDocumentBytes,
+          httpStatusCode: 413,
+          public: true
+        }
+      });
+    }
+  }
+
   // called from `delete` as a helper within a concurrent ops handling loop
-  async _delete({id, docId}) {
+  async _delete({id, docId, precondition, soft, retention}) {
     let doc;
     try {
       if(docId) {
@@ -216,12 +1093,26 @@ export class DocumentStore {
         }));
       }
 
-      if(!doc) {
+      if(!doc || _isExpired({doc}) || (soft && _isDeleted({doc}))) {
         // no doc found
-        return {deleted: false, doc};
+        return {deleted: false, doc: undefined};
       }
 
-      await this.edvClient.delete({doc});
+      if(precondition) {
+        await precondition({doc});
+      }
+
+      if(soft) {
+        const deleted = await this._softDelete({doc, retention});
+        await this._emitChange({operation: 'deleted', doc: deleted});
+      } else {
+        await this.edvClient.delete({doc});
+        await this._addUsage({documents: -1, bytes: -_getSize({doc})});
+        if(!_isDeleted({doc})) {
+          // soft deleted documents were already reported as deleted
+          await this._emitChange({operation: 'deleted', doc});
+        }
+      }
       return {deleted: true, doc};
     } catch(e) {
       if(e.name === 'NotFoundError') {
@@ -236,3 +1127,111 @@ export class DocumentStore {
     }
   }
 }
+
+function _createNotFoundError() {
+  const err = new Error('Document not found.');
+  err.name = 'NotFoundError';
+  return err;
+}
+
+function _getAttribute({doc, attribute}) {
+  let value = doc;
+  for(const name of attribute.split('.')) {
+    value = value?.[name];
+  }
+  return value;
+}
+
+function _isDeleted({doc}) {
+  return doc.meta.type === DELETED_META_TYPE;
+}
+
+// gets the size (in bytes) of a document's content and meta data
+function _getSize({doc: {content, meta}}) {
+  return Buffer.byteLength(JSON.stringify({content, meta}));
+}
+
+function _isObjectOrArrayOfObjects(x) {
+  const isObject = y => y && typeof y === 'object' && !Array.isArray(y);
+  return isObject(x) || (Array.isArray(x) && x.length > 0 && x.every(isObject));
+}
+
+function _isExpired({doc}) {
+  return doc.meta.expires !== undefined && doc.meta.expires <= Date.now();
+}
+
+// gets the time after which a document can be purged
+function _getPurgeTime({doc}) {
+  const times = [];
+  if(_isDeleted({doc})) {
+    times.push(doc.meta.deleted.expires);
+  }
+  if(doc.meta.expires !== undefined) {
+    times.push(doc.meta.expires);
+  }
+  return Math.min(...times);
+}
+
+// gets a soft deleted document as it was before it was deleted
+function _toUndeleted({doc}) {
+  if(!_isDeleted({doc})) {
+    return doc;
+  }
+  const {deleted: {type}, ...meta} = doc.meta;
+  return {...doc, meta: {...meta, type}};
+}
+
+function _toVersion({doc}) {
+  const {content: {content, meta}, meta: {versionOf, sequence, created}} = doc;
+  return {id: versionOf, sequence, content, meta, created};
+}
+
+function _assertLimit({limit}) {
+  if(!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_EDV_LIMIT)) {
+    throw new BedrockError(
+      `"limit" must be an integer from 1 to ${MAX_EDV_LIMIT}.`, {
+        name: 'DataError',
+        details: {httpStatusCode: 400, public: true}
+      });
+  }
+}
+
+// gets a key for a sequence that sorts in the same order as sequences: the
+// number of hex digits in the sequence followed by the digits
+function _getSequenceKey({sequence}) {
+  const digits = sequence.toString(16);
+  return HEX_DIGITS[digits.length] + digits;
+}
+
+// gets the bucket after the given bucket and its children, if any
+function _getNextBucket({bucket}) {
+  while(bucket.length > 0) {
+    const next = HEX_DIGITS.indexOf(bucket.at(-1)) + 1;
+    bucket = bucket.slice(0, -1);
+    if(next < HEX_DIGITS.length) {
+      return bucket + HEX_DIGITS[next];
+    }
+  }
+}
+
+function _encodeCursor({cursor}) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function _decodeCursor({cursor, depth = BUCKET_DEPTH}) {
+  try {
+    const {bucket, after} = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'));
+    if(typeof bucket === 'string' &&
+      new RegExp(`^[${HEX_DIGITS}]{0,${depth}}$`).test(bucket) &&
+      (after === undefined || typeof after === 'string')) {
+      return {bucket, after};
+    }
+  } catch(e) {
+    // fall through to throw invalid cursor error
+  }
+  throw new BedrockError('Invalid document cursor.', {
+    name: 'DataError',
+    details: {httpStatusCode: 400, public: true}
+  });
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2022-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 
@@ -19,6 +19,13 @@ cfg.caches = {
     max: 1000,
     ttl: 5 * 60 * 1000
   },
+  verificationMethod: {
+    // public key material for service agent zcap invocation keys; a key's
+    // public key never changes, so this only avoids KMS requests (e.g., for
+    // the public service agent descriptor route)
+    max: 100,
+    ttl: 60 * 60 * 1000
+  },
   document: {
     // each document store instance has a cache for EDV documents; each doc is
     // at most 10 MiB, meaning 100 * 10 MiB = 1000 MiB of in memory storage
@@ -47,6 +54,204 @@ config.ensureConfigOverride.fields.push('service-agent.kms.ipAllowList');
 config.ensureConfigOverride.fields.push('service-agent.kms.kmsModule');
 config.ensureConfigOverride.fields.push('service-agent.kms.meterId');
 
+// service agents provisioned outside of this module, keyed by service type;
+// each value has `keystore`, `zcapInvocationKey` (`{id, kmsId, type}`), and
+// `hmac` (`{id, type}`); `initializeServiceAgent()` will validate and use
+// these instead of creating keystores at runtime
+cfg.provisionedServiceAgents = {};
+
+// DID method to use for service agent identities; `key` and `v1` are supported
+// by default and other methods may be added via
+// `serviceAgents.registerDidMethod()`; `v1` DIDs are registered on the Veres
+// One ledger
+cfg.didMethod = 'key';
+// DID method options (e.g., `{mode: 'test'}` for `v1`, `mode` may also be
+// `live` and an optional ledger `hostname` may be given)
+cfg.didOptions = {};
+
+// options for `serviceAgents.rotate()`
+cfg.rotate = {
+  // identities retired by rotation are kept so that zcaps delegated to them
+  // can be used until they are refreshed (see `refreshZcaps()`); retired
+  // identities beyond `maxCount` or older than `ttl` are pruned on rotation;
+  // `ttl` should exceed the time it takes for all zcaps to be refreshed
+  retiredIdentities: {
+    maxCount: 5,
+    ttl: 90 * 24 * 60 * 60 * 1000
+  }
+};
+
+// options for `initializeServiceAgent()`
+cfg.initialize = {
+  // maximum time to spend trying to initialize a service agent
+  timeout: 5 * 60 * 1000,
+  // lease acquired by a process while it provisions a service agent; other
+  // processes wait for the lease holder to finish, the TTL should be long
+  // enough to create a keystore and generate its keys
+  lease: {
+    ttl: 60 * 1000
+  },
+  // retry policy used when waiting for or conflicting with another process
+  retry: {
+    maxAttempts: Infinity,
+    minDelay: 100,
+    maxDelay: 10 * 1000,
+    factor: 2,
+    jitter: true
+  }
+};
+
+// keystores created for service agents that ended up unused (e.g., due to
+// concurrent provisioning) are recorded and reclaimed by a sweeper
+cfg.orphanedKeystores = {
+  sweep: {
+    // set to `false` to disable the background sweeper
+    enabled: true,
+    // time to wait between sweeps and before retrying a failed reclamation
+    interval: 60 * 60 * 1000,
+    // maximum number of attempts to reclaim an orphaned keystore
+    maxAttempts: 5
+  }
+};
+
+// options for the public service agent descriptor route
+cfg.serviceAgentDescriptor = {
+  // `Cache-Control` header value; descriptors only change on rotation
+  cacheControl: 'public, max-age=300',
+  // set to `true` to include the verification method for the service agent's
+  // zcap invocation key; its public key material is cached (see
+  // `caches.verificationMethod`)
+  includeKeys: false
+};
+
+// options for document routes added via `addDocumentRoutes()`
+cfg.documents = {
+  batch: {
+    // maximum number of operations in a single batch request
+    maxOperations: 100,
+    // maximum number of batch operations to perform at once
+    concurrency: 4
+  },
+  softDelete: {
+    // time to keep soft deleted documents before they are purged; they can
+    // be restored until then
+    retention: 30 * 24 * 60 * 60 * 1000
+  },
+  history: {
+    // time to keep prior versions of documents (from when they are replaced)
+    // before they are purged; `null` keeps them until their document is
+    // deleted
+    retention: 90 * 24 * 60 * 60 * 1000
+  },
+  // limits enforced for each service object when documents are written; a
+  // limit of `null` is not enforced; prior versions of documents count toward
+  // `maxTotalBytes` but not `maxDocuments`
+  limits: {
+    // each EDV document can be at most 10 MiB when encrypted; the default
+    // leaves room for encryption overhead
+    maxDocumentBytes: 5 * 1024 * 1024,
+    maxDocuments: null,
+    maxTotalBytes: null
+  },
+  // limits for specific service types (keyed by service type); these are
+  // merged over `limits`
+  limitsByServiceType: {},
+  // documents to purge are scheduled per service object and purged by a
+  // sweeper
+  purge: {
+    // maximum number of documents to fetch from a service object's EDV at
+    // once when purging its documents
+    batchSize: 100,
+    sweep: {
+      // set to `false` to disable the background sweeper
+      enabled: true,
+      // time to wait between sweeps
+      interval: 5 * 60 * 1000,
+      // time a service object is reserved by the process purging it; it will
+      // be purged again after this time if that process stops
+      isolateTimeout: 5 * 60 * 1000
+    }
+  },
+  usage: {
+    // storage units reported to a service object's meter for its documents
+    // when the service's usage aggregator uses `documentUsage.addUsage()`;
+    // these can be overridden via `document` and `documentByte` in the
+    // service's `storageCost`
+    storageCost: {
+      document: 1,
+      documentByte: 0
+    },
+    // tracked usage is periodically recomputed from the documents in each
+    // service object's EDV to correct any drift, e.g., from a process that
+    // stopped during a write
+    reconcile: {
+      // set to `false` to disable the background job
+      enabled: true,
+      // time to wait between reconciling the same service object
+      interval: 24 * 60 * 60 * 1000,
+      // time to wait between checks for service objects to reconcile
+      sweepInterval: 5 * 60 * 1000,
+      // maximum number of documents to fetch from a service object's EDV at
+      // once when reconciling its usage
+      batchSize: 100
+    }
+  },
+  // document changes are delivered to webhooks subscribed via the
+  // `webhooks` API
+  webhooks: {
+    // time to wait for a webhook to respond to a delivery
+    timeout: 10 * 1000,
+    // retry policy for failed deliveries; a delivery is marked as `failed`
+    // after `maxAttempts`
+    retry: {
+      maxAttempts: 10,
+      minDelay: 60 * 1000,
+      maxDelay: 6 * 60 * 60 * 1000,
+      factor: 2,
+      jitter: true
+    },
+    // time to keep `failed` deliveries (see `webhooks.getDeliveries()`)
+    // before they are removed
+    failedRetention: 7 * 24 * 60 * 60 * 1000,
+    sweep: {
+      // set to `false` to disable the background sweeper that retries
+      // failed deliveries
+      enabled: true,
+      // time to wait between sweeps
+      interval: 60 * 1000,
+      // time a delivery is reserved by the process sending it; it will be
+      // sent again after this time if that process stops
+      isolateTimeout: 5 * 60 * 1000
+    }
+  },
+  // recent document changes are logged for each service object so that
+  // clients watching for changes can resume via `Last-Event-ID`
+  changes: {
+    // time to keep changes in the log
+    retention: 60 * 60 * 1000,
+    // maximum number of changes to keep for each service object
+    maxChanges: 1000,
+    // time to wait between checks for changes made by other processes
+    pollInterval: 1000,
+    // time between comments sent to keep idle change streams open
+    heartbeatInterval: 15 * 1000
+  }
+};
+
+// admin routes (e.g., listing and verifying service agents) require a zcap
+// invocation with the application identity as the root controller; add the
+// DIDs of any other root controllers for these routes here
+cfg.admin = {
+  controllers: []
+};
+
 cfg.routes = {
-  serviceAgents: '/service-agents/:serviceType'
+  serviceAgents: '/service-agents/:serviceType',
+  // route for listing service agents; it requires admin authorization; set
+  // to `null` to disable it
+  listServiceAgents: '/service-agents',
+  // optional route for verifying a service agent is usable (e.g., for a
+  // readiness probe); it requires admin authorization; set to a path to
+  // enable it
+  verifyServiceAgent: null
 };
@@ -0,0 +1,216 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {setTimeout as delay} from 'node:timers/promises';
+import {logger} from './logger.js';
+
+// load config defaults
+import './config.js';
+
+const COLLECTION_NAME = 'service-agent-documentChange';
+
+// watchers (by service object ID) in this process to wake when a change is
+// logged; watchers in other processes poll for changes
+const WATCHERS = new Map();
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by service object
+    collection: COLLECTION_NAME,
+    fields: {'log.serviceObjectId': 1},
+    options: {unique: true}
+  }, {
+    // automatically remove logs without recent changes
+    collection: COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+bedrock.events.on(
+  'bedrock-service-agent.document.changed', async ({
+    serviceType, serviceObjectId, change
+  }) => {
+    try {
+      await append({serviceType, serviceObjectId, change});
+    } catch(error) {
+      logger.error(
+        'Could not log document change for service object ' +
+        `"${serviceObjectId}".`, {error});
+    }
+  });
+
+/**
+ * Appends a change to the change log for a service object. Each change is
+ * assigned an `eventId` that is one greater than that of the previous change
+ * for the service object. Changes are kept for `documents.changes.retention`
+ * and at most `documents.changes.maxChanges` are kept for each service
+ * object. This is called for each `bedrock-service-agent.document.changed`
+ * event and does not need to be called directly.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.serviceType] - The service type of the service
+ *   object.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {object} options.change - The change; see `DocumentStore`.
+ *
+ * @returns {Promise<undefined>} Resolves once the change is logged.
+ */
+export async function append({serviceType, serviceObjectId, change} = {}) {
+  assert.optionalString(serviceType, 'serviceType');
+  assert.string(serviceObjectId, 'serviceObjectId');
+  assert.object(change, 'change');
+
+  const {documents: {changes: {retention, maxChanges}}} =
+    bedrock.config['service-agent'];
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    // assign the next event ID and append the change atomically so that
+    // changes are never logged out of order; expired changes are dropped
+    await collection.updateOne({'log.serviceObjectId': serviceObjectId}, [{
+      $set: {
+        'log.serviceType': serviceType ?? null,
+        'log.lastEventId': {$add: [{$ifNull: ['$log.lastEventId', 0]}, 1]},
+        'meta.created': {$ifNull: ['$meta.created', now]},
+        'meta.updated': now,
+        // note: a `Date` is required for the TTL index
+        'meta.expires': new Date(now + retention)
+      }
+    }, {
+      $set: {
+        'log.changes': {
+          $slice: [{
+            $concatArrays: [{
+              $filter: {
+                input: {$ifNull: ['$log.changes', []]},
+                cond: {$gt: ['$$this.date', now - retention]}
+              }
+            }, [{
+              $mergeObjects: [
+                {$literal: change}, {eventId: '$log.lastEventId'}
+              ]
+            }]]
+          }, -maxChanges]
+        }
+      }
+    }], {upsert: true});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // log was created concurrently, so try again to append to it
+    return append({serviceType, serviceObjectId, change});
+  }
+
+  // wake any watchers in this process
+  for(const wake of WATCHERS.get(serviceObjectId) ?? []) {
+    wake();
+  }
+}
+
+/**
+ * Gets the logged changes for a service object.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {number} [options.after] - Only get changes with an `eventId`
+ *   greater than this; if not given, no changes are returned and only
+ *   `lastEventId` is useful.
+ *
+ * @returns {Promise<object>} Resolves to `{changes, lastEventId, complete}`
+ *   where `changes` are the changes (each with its `eventId`) in order,
+ *   `lastEventId` is the `eventId` of the most recent change (`0` if there
+ *   are none), and `complete` is `false` if some changes after `after` are
+ *   no longer retained.
+ */
+export async function get({serviceObjectId, after} = {}) {
+  assert.string(serviceObjectId, 'serviceObjectId');
+  assert.optionalNumber(after, 'after');
+
+  const {documents: {changes: {retention}}} = bedrock.config['service-agent'];
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'log.serviceObjectId': serviceObjectId},
+    {projection: {_id: 0, log: 1}});
+  const {lastEventId = 0, changes: logged = []} = record?.log ?? {};
+  if(after === undefined) {
+    return {changes: [], lastEventId, complete: true};
+  }
+
+  // expired changes may not have been dropped yet
+  const cutoff = Date.now() - retention;
+  const retained = logged.filter(({date}) => date > cutoff);
+  const changes = retained.filter(({eventId}) => eventId > after);
+  // changes are missing if any after `after` are no longer retained or if
+  // the log is older than `after` (e.g., it expired and was recreated)
+  const first = retained[0]?.eventId ?? lastEventId + 1;
+  const complete = after >= first - 1 && after <= lastEventId;
+  return {changes, lastEventId, complete};
+}
+
+/**
+ * Watches the change log for a service object. The returned async iterator
+ * yields `{changes, lastEventId, complete}` (see `get()`) whenever there are
+ * new changes, starting after `after` (or after the most recent change if
+ * `after` is not given), until the `signal` is aborted.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {number} [options.after] - The `eventId` to start after.
+ * @param {AbortSignal} options.signal - A signal to stop watching.
+ *
+ * @returns {object} An async iterator of changes.
+ */
+export async function* watch({serviceObjectId, after, signal} = {}) {
+  assert.string(serviceObjectId, 'serviceObjectId');
+  assert.optionalNumber(after, 'after');
+  assert.object(signal, 'signal');
+
+  const {documents: {changes: {pollInterval}}} =
+    bedrock.config['service-agent'];
+  if(after === undefined) {
+    ({lastEventId: after} = await get({serviceObjectId}));
+  }
+
+  let watchers = WATCHERS.get(serviceObjectId);
+  if(!watchers) {
+    WATCHERS.set(serviceObjectId, watchers = new Set());
+  }
+  let woken = false;
+  let wake = () => woken = true;
+  const watcher = () => wake();
+  watchers.add(watcher);
+  try {
+    while(!signal.aborted) {
+      woken = false;
+      const result = await get({serviceObjectId, after});
+      if(result.changes.length > 0 || !result.complete) {
+        yield result;
+        after = result.lastEventId;
+        continue;
+      }
+      // wait for a change in this process or until the next poll
+      if(!woken) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, {once: true});
+        wake = () => controller.abort();
+        await delay(pollInterval, undefined, {signal: controller.signal})
+          .catch(() => {});
+        signal.removeEventListener('abort', onAbort);
+        wake = () => woken = true;
+      }
+    }
+  } finally {
+    watchers.delete(watcher);
+    if(watchers.size === 0) {
+      WATCHERS.delete(serviceObjectId);
+    }
+  }
+}
@@ -0,0 +1,210 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as documentStores from './documentStores.js';
+import assert from 'assert-plus';
+import {setTimeout as delay} from 'node:timers/promises';
+import {logger} from './logger.js';
+
+// load config defaults
+import './config.js';
+
+const COLLECTION_NAME = 'service-agent-documentPurge';
+
+let SWEEPER_ABORT_CONTROLLER;
+let SWEEPER_SHUTDOWN_PROMISE;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by service object
+    collection: COLLECTION_NAME,
+    fields: {
+      'documentPurge.serviceType': 1, 'documentPurge.serviceObjectId': 1
+    },
+    options: {unique: true}
+  }, {
+    // cover queries for records to sweep
+    collection: COLLECTION_NAME,
+    fields: {'documentPurge.after': 1},
+    options: {unique: false}
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', () => {
+  const {documents: {purge: {sweep}}} = bedrock.config['service-agent'];
+  if(sweep.enabled) {
+    // start the sweeper which runs continuously
+    SWEEPER_ABORT_CONTROLLER = new AbortController();
+    SWEEPER_SHUTDOWN_PROMISE = _startSweeper(
+      {signal: SWEEPER_ABORT_CONTROLLER.signal});
+  }
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  if(!SWEEPER_ABORT_CONTROLLER) {
+    return;
+  }
+  try {
+    // abort sweeper
+    SWEEPER_ABORT_CONTROLLER.abort();
+    await SWEEPER_SHUTDOWN_PROMISE;
+  } catch(error) {
+    logger.error('Error during document purge sweeper shutdown.', {error});
+  }
+});
+
+/**
+ * Schedules a purge of the documents for a service object. If a purge is
+ * already scheduled for the service object, the earlier of the two times is
+ * used.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {number} options.after - The time (in ms since the epoch) after
+ *   which the purge should run.
+ *
+ * @returns {Promise<undefined>} Resolves once the purge is scheduled.
+ */
+export async function schedule({serviceType, serviceObjectId, after} = {}) {
+  assert.string(serviceType, 'serviceType');
+  assert.string(serviceObjectId, 'serviceObjectId');
+  assert.number(after, 'after');
+
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    await collection.updateOne({
+      'documentPurge.serviceType': serviceType,
+      'documentPurge.serviceObjectId': serviceObjectId
+    }, {
+      $min: {'documentPurge.after': after},
+      $set: {'meta.updated': now},
+      $setOnInsert: {'meta.created': now}
+    }, {upsert: true});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // record was inserted concurrently, so try again to update it
+    return schedule({serviceType, serviceObjectId, after});
+  }
+}
+
+/**
+ * Purges documents for any service objects with a scheduled purge that is
+ * due. See `DocumentStore.purge()` for the documents that are purged.
+ *
+ * @param {object} options - The options to use.
+ * @param {AbortSignal} [options.signal] - An optional signal to abort the
+ *   sweep.
+ *
+ * @returns {Promise<object>} Resolves to `{purged, failed}` where `purged`
+ *   is the number of documents purged and `failed` is the number of service
+ *   objects that could not be purged.
+ */
+export async function sweep({signal} = {}) {
+  const result = {purged: 0, failed: 0};
+  while(true) {
+    signal?.throwIfAborted();
+    const record = await _claimRecord();
+    if(!record) {
+      return result;
+    }
+    try {
+      result.purged += await _purge({record});
+    } catch(e) {
+      const {serviceObjectId} = record.documentPurge;
+      logger.error(
+        `Could not purge documents for service object "${serviceObjectId}".`,
+        {error: e});
+      result.failed++;
+    }
+  }
+}
+
+async function _claimRecord() {
+  // claim a due record by moving its `after` time forward so that other
+  // processes will not claim it; if this process stops before finishing, the
+  // record will be claimed again later
+  const now = Date.now();
+  const {documents: {purge: {sweep}}} = bedrock.config['service-agent'];
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.findOneAndUpdate({
+    'documentPurge.after': {$lte: now}
+  }, {
+    $set: {
+      'documentPurge.after': now + sweep.isolateTimeout,
+      'meta.updated': now
+    }
+  }, {
+    projection: {_id: 0, meta: 1, documentPurge: 1},
+    returnDocument: 'after'
+  });
+}
+
+async function _purge({record}) {
+  const {serviceType, serviceObjectId} = record.documentPurge;
+  const service = documentStores.getService({serviceType});
+  if(!service) {
+    // service not registered in this process; the record will be claimed
+    // again after the isolate timeout
+    throw new Error(`Service type "${serviceType}" is not registered.`);
+  }
+
+  let purged = 0;
+  let next;
+  try {
+    const {config} = await service.configStorage.get({id: serviceObjectId});
+    const {documentStore} = await documentStores.get({config, serviceType});
+    ({purged, next} = await documentStore.purge());
+  } catch(e) {
+    // if the service object no longer exists, there is nothing to purge
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+
+  // only update the record if it has not been rescheduled since it was
+  // claimed; otherwise, it will be claimed again after the isolate timeout
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {
+    'documentPurge.serviceType': serviceType,
+    'documentPurge.serviceObjectId': serviceObjectId,
+    'meta.updated': record.meta.updated
+  };
+  if(next === undefined) {
+    await collection.deleteOne(query);
+  } else {
+    await collection.updateOne(query, {
+      $set: {'documentPurge.after': next, 'meta.updated': Date.now()}
+    });
+  }
+  return purged;
+}
+
+async function _startSweeper({signal}) {
+  const {documents: {purge: {sweep: {interval}}}} =
+    bedrock.config['service-agent'];
+  while(!signal.aborted) {
+    try {
+      const {purged, failed} = await sweep({signal});
+      if(purged > 0 || failed > 0) {
+        logger.info(
+          `Document purge sweep purged ${purged} document(s); ` +
+          `${failed} service object(s) failed.`);
+      }
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during document purge sweep.', {error});
+    }
+    // wait for next sweep; an abort will end the loop
+    await delay(interval, undefined, {signal}).catch(() => {});
+  }
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as serviceAgents from './serviceAgents.js';
@@ -22,8 +22,13 @@ import './config.js';
 const ONE_MINUTE = 1000 * 60;
 const FIVE_MINUTES = ONE_MINUTE * 5;
 
-// Note: If the service agent needs to change on a service, the service must
-// be restarted to clear this cache so it does not use a stale service agent.
+// services (by service type) whose service object configs can be loaded by
+// background jobs that maintain their documents
+const SERVICES = new Map();
+
+// Note: This cache is cleared whenever a service agent is rotated in this
+// process; other processes will use a stale service agent until their cached
+// document stores expire.
 let DOCUMENT_STORE_CACHE;
 
 bedrock.events.on('bedrock.init', async () => {
@@ -38,22 +43,73 @@ bedrock.events.on('bedrock.init', async () => {
   _createDocumentStoreCache();
 });
 
+bedrock.events.on('bedrock-service-agent.serviceAgent.rotated', () => {
+  // clear all document stores to avoid using a stale service agent
+  _createDocumentStoreCache();
+});
+
+/**
+ * Registers a service so that the documents for its service objects can be
+ * maintained by background jobs, e.g., purging expired documents and
+ * reconciling document usage. This is called by `addDocumentRoutes()`; it
+ * must be called for any other service that stores documents via a
+ * `DocumentStore`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.service - The service from `createService()` in
+ *   `@bedrock/service-core`.
+ */
+export function registerService({service} = {}) {
+  assert.object(service, 'service');
+  assert.string(service.serviceType, 'service.serviceType');
+  assert.object(service.configStorage, 'service.configStorage');
+  SERVICES.set(service.serviceType, service);
+}
+
+/**
+ * Gets a service registered via `registerService()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type.
+ *
+ * @returns {object|undefined} The service or `undefined` if no service is
+ *   registered for the service type.
+ */
+export function getService({serviceType} = {}) {
+  assert.string(serviceType, 'serviceType');
+  return SERVICES.get(serviceType);
+}
+
+/**
+ * Gets the service types of the services registered via `registerService()`.
+ *
+ * @returns {Array<string>} The registered service types.
+ */
+export function getServiceTypes() {
+  return [...SERVICES.keys()];
+}
+
 /**
  * Gets the `DocumentStore` instance for the given service object config.
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The service object config.
  * @param {object} options.serviceType - The service type.
+ * @param {Array<object>} [options.indexes] - Additional indexes to ensure for
+ *   the `DocumentStore`; see `DocumentStore.ensureIndexes()`. Indexes are
+ *   added to any already ensured for the service object, so they should be
+ *   given whenever a `DocumentStore` is retrieved for writing.
  *
  * @returns {Promise<DocumentStore>} The `DocumentStore` instance.
  */
-export async function get({config, serviceType} = {}) {
+export async function get({config, serviceType, indexes} = {}) {
   assert.object(config, 'config');
   assert.string(config.id, 'config.id');
   assert.object(config.zcaps, 'config.zcaps');
   assert.object(config.zcaps.edv, 'config.zcaps.edv');
   assert.object(config.zcaps.hmac, 'config.zcaps.hmac');
   assert.object(config.zcaps.keyAgreementKey, 'config.zcaps.keyAgreementKey');
+  assert.optionalArrayOfObject(indexes, 'indexes');
 
   const key = `${config.sequence}-${config.id}`;
   const fn = () => _getUncachedDocumentStore({config, serviceType, key});
@@ -69,9 +125,12 @@ export async function get({config, serviceType} = {}) {
     if(DOCUMENT_STORE_CACHE.cache.peek(key) === promise) {
       DOCUMENT_STORE_CACHE.delete(key);
     }
-    return get({config, serviceType});
+    return get({config, serviceType, indexes});
   }
 
+  if(indexes) {
+    record.documentStore.ensureIndexes({indexes});
+  }
   return {documentStore: record.documentStore, expires: record.expires};
 }
 
@@ -125,8 +184,10 @@ async function _getUncachedDocumentStore({config, serviceType, key}) {
     keyResolver
   });
 
-  const documentStore = new DocumentStore(
-    {serviceObjectId: config.id, edvClient});
+  const documentStore = new DocumentStore({
+    serviceObjectId: config.id, edvClient, serviceType,
+    meterId: config.meterId
+  });
 
   // track document store and potential next record for rotation
   const record = {documentStore, next: null, expires};
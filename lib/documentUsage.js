@@ -0,0 +1,406 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as documentStores from './documentStores.js';
+import assert from 'assert-plus';
+import {setTimeout as delay} from 'node:timers/promises';
+import {logger} from './logger.js';
+import {meters} from '@bedrock/meter-usage-reporter';
+
+// load config defaults
+import './config.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'service-agent-documentUsage';
+
+let SWEEPER_ABORT_CONTROLLER;
+let SWEEPER_SHUTDOWN_PROMISE;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by service object
+    collection: COLLECTION_NAME,
+    fields: {'usage.serviceObjectId': 1},
+    options: {unique: true}
+  }, {
+    // cover queries for records to reconcile
+    collection: COLLECTION_NAME,
+    fields: {'meta.reconciled': 1},
+    options: {unique: false}
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', () => {
+  const {documents: {usage: {reconcile}}} = bedrock.config['service-agent'];
+  if(reconcile.enabled) {
+    // start the sweeper which runs continuously
+    SWEEPER_ABORT_CONTROLLER = new AbortController();
+    SWEEPER_SHUTDOWN_PROMISE = _startSweeper(
+      {signal: SWEEPER_ABORT_CONTROLLER.signal});
+  }
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  if(!SWEEPER_ABORT_CONTROLLER) {
+    return;
+  }
+  try {
+    // abort sweeper
+    SWEEPER_ABORT_CONTROLLER.abort();
+    await SWEEPER_SHUTDOWN_PROMISE;
+  } catch(error) {
+    logger.error('Error during document usage sweeper shutdown.', {error});
+  }
+});
+
+/**
+ * Gets the document limits for a service type. Limits set to `null` are not
+ * enforced.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.serviceType] - The service type.
+ *
+ * @returns {object} The limits: `{maxDocumentBytes, maxDocuments,
+ *   maxTotalBytes}`.
+ */
+export function getLimits({serviceType} = {}) {
+  const {documents: {limits, limitsByServiceType}} =
+    bedrock.config['service-agent'];
+  return {...limits, ...limitsByServiceType[serviceType]};
+}
+
+/**
+ * Gets the document usage tracked for a service object.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ *
+ * @returns {Promise<object>} Resolves to `{documents, bytes}`.
+ */
+export async function get({serviceObjectId} = {}) {
+  assert.string(serviceObjectId, 'serviceObjectId');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'usage.serviceObjectId': serviceObjectId},
+    {projection: {_id: 0, usage: 1}});
+  const {documents = 0, bytes = 0} = record?.usage ?? {};
+  return {documents, bytes};
+}
+
+/**
+ * Reserves document usage for a service object before documents are
+ * written. Any increase that would exceed the given limits is rejected with
+ * a `QuotaExceededError`; decreases are always applied.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {string} [options.serviceType] - The service type of the service
+ *   object.
+ * @param {string} [options.meterId] - The ID of the meter for the service
+ *   object to notify of the change.
+ * @param {number} [options.documents=0] - The change in document count.
+ * @param {number} [options.bytes=0] - The change in bytes.
+ * @param {object} [options.limits={}] - The `maxDocuments` and
+ *   `maxTotalBytes` limits to enforce.
+ *
+ * @returns {Promise<undefined>} Resolves once the usage is reserved.
+ */
+export async function reserve({
+  serviceObjectId, serviceType, meterId, documents = 0, bytes = 0,
+  limits = {}
+} = {}) {
+  assert.string(serviceObjectId, 'serviceObjectId');
+  assert.optionalString(serviceType, 'serviceType');
+  assert.optionalString(meterId, 'meterId');
+  assert.number(documents, 'documents');
+  assert.number(bytes, 'bytes');
+  assert.object(limits, 'limits');
+
+  const query = {'usage.serviceObjectId': serviceObjectId};
+  const {maxDocuments = null, maxTotalBytes = null} = limits;
+  if(documents > 0 && maxDocuments !== null) {
+    query['usage.documents'] = {$lte: maxDocuments - documents};
+  }
+  if(bytes > 0 && maxTotalBytes !== null) {
+    query['usage.bytes'] = {$lte: maxTotalBytes - bytes};
+  }
+
+  // try to update an existing record first, creating it if necessary
+  if(!await _update({query, documents, bytes})) {
+    await _insert({serviceObjectId, serviceType});
+    if(!await _update({query, documents, bytes})) {
+      throw new BedrockError('Document storage quota exceeded.', {
+        name: 'QuotaExceededError',
+        details: {
+          maxDocuments, maxTotalBytes,
+          httpStatusCode: 413,
+          public: true
+        }
+      });
+    }
+  }
+  if(documents !== 0 || bytes !== 0) {
+    await _touchMeter({meterId});
+  }
+}
+
+/**
+ * Adds to the document usage for a service object without enforcing any
+ * limits, e.g., after documents have been deleted or to release usage that
+ * was reserved for a failed write.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {string} [options.serviceType] - The service type of the service
+ *   object.
+ * @param {string} [options.meterId] - The ID of the meter for the service
+ *   object to notify of the change.
+ * @param {number} [options.documents=0] - The change in document count.
+ * @param {number} [options.bytes=0] - The change in bytes.
+ *
+ * @returns {Promise<undefined>} Resolves once the usage is added.
+ */
+export async function add({
+  serviceObjectId, serviceType, meterId, documents = 0, bytes = 0
+} = {}) {
+  return reserve({serviceObjectId, serviceType, meterId, documents, bytes});
+}
+
+/**
+ * Adds the storage units for the documents of a service object to the given
+ * meter usage. Each document costs `storageCost.document` units and each
+ * byte costs `storageCost.documentByte` units (see
+ * `documents.usage.storageCost` for defaults). This function can be passed
+ * as `addUsage` to `configStorage.getUsage()` in a custom usage aggregator;
+ * see `aggregateUsage()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The service object config.
+ * @param {object} [options.storageCost={}] - The service's storage cost.
+ * @param {object} options.usage - The meter usage to add to.
+ *
+ * @returns {Promise<undefined>} Resolves once the usage is added.
+ */
+export async function addUsage({config, storageCost = {}, usage} = {}) {
+  assert.object(config, 'config');
+  assert.object(usage, 'usage');
+
+  const {documents: {usage: {storageCost: defaults}}} =
+    bedrock.config['service-agent'];
+  const cost = {...defaults, ...storageCost};
+  const {documents, bytes} = await get({serviceObjectId: config.id});
+  usage.storage += documents * cost.document +
+    Math.ceil(bytes * cost.documentByte);
+}
+
+/**
+ * Aggregates meter usage for a service, including the storage used by the
+ * documents of its service objects. Pass this as the `usageAggregator` to
+ * `createService()` in `@bedrock/service-core` to report document storage:
+ *
+ * `usageAggregator: ({meter, signal}) =>
+ *   documentUsage.aggregateUsage({meter, signal, service})`.
+ *
+ * Tracked usage changes notify the meter so that it will be reported again.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.meter - The meter to aggregate usage for.
+ * @param {AbortSignal} [options.signal] - An abort signal to check.
+ * @param {object} options.service - The service from `createService()`.
+ *
+ * @returns {Promise<object>} Resolves to the meter usage.
+ */
+export async function aggregateUsage({meter, signal, service} = {}) {
+  assert.object(meter, 'meter');
+  assert.object(service, 'service');
+  return service.configStorage.getUsage(
+    {meterId: meter.id, signal, addUsage});
+}
+
+/**
+ * Recomputes the document usage for a service object from the documents
+ * stored in its EDV and replaces its tracked usage. Writes made while usage
+ * is recomputed may not be reflected; they will be corrected the next time
+ * the service object is reconciled. This is called periodically by a
+ * background sweeper (see `documents.usage.reconcile`) for service objects
+ * with tracked usage and only needs to be called directly to correct usage
+ * immediately. The service must be registered via
+ * `documentStores.registerService()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ *
+ * @returns {Promise<object>} Resolves to the recomputed `{documents,
+ *   bytes}`.
+ */
+export async function reconcile({serviceType, serviceObjectId} = {}) {
+  assert.string(serviceType, 'serviceType');
+  assert.string(serviceObjectId, 'serviceObjectId');
+
+  const service = documentStores.getService({serviceType});
+  if(!service) {
+    throw new Error(`Service type "${serviceType}" is not registered.`);
+  }
+  const {config} = await service.configStorage.get({id: serviceObjectId});
+  const {documentStore} = await documentStores.get({config, serviceType});
+  const {documents, bytes} = await documentStore.computeUsage();
+
+  await _insert({serviceObjectId, serviceType});
+  const now = Date.now();
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({'usage.serviceObjectId': serviceObjectId}, {
+    $set: {
+      'usage.documents': documents,
+      'usage.bytes': bytes,
+      'meta.updated': now,
+      'meta.reconciled': now
+    }
+  });
+  await _touchMeter({meterId: config.meterId});
+  return {documents, bytes};
+}
+
+/**
+ * Reconciles the document usage for any service objects that have not been
+ * reconciled within `documents.usage.reconcile.interval`; see
+ * `reconcile()`. Only service objects for services registered in this
+ * process (see `documentStores.registerService()`) are reconciled. A service
+ * object that fails to reconcile is retried after
+ * `documents.usage.reconcile.sweepInterval`.
+ *
+ * @param {object} options - The options to use.
+ * @param {AbortSignal} [options.signal] - An optional signal to abort the
+ *   sweep.
+ *
+ * @returns {Promise<object>} Resolves to `{reconciled, failed}` counts of
+ *   service objects for the sweep.
+ */
+export async function sweep({signal} = {}) {
+  const result = {reconciled: 0, failed: 0};
+  while(true) {
+    signal?.throwIfAborted();
+    const record = await _claimRecord();
+    if(!record) {
+      return result;
+    }
+    const {serviceType, serviceObjectId} = record.usage;
+    try {
+      await reconcile({serviceType, serviceObjectId});
+      result.reconciled++;
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        // the service object no longer exists, so neither does its usage
+        const collection = database.collections[COLLECTION_NAME];
+        await collection.deleteOne({'usage.serviceObjectId': serviceObjectId});
+        continue;
+      }
+      logger.error(
+        'Could not reconcile document usage for service object ' +
+        `"${serviceObjectId}".`, {error: e});
+      await _releaseRecord({record});
+      result.failed++;
+    }
+  }
+}
+
+async function _update({query, documents, bytes}) {
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.updateOne(query, {
+    $inc: {'usage.documents': documents, 'usage.bytes': bytes},
+    $set: {'meta.updated': Date.now()}
+  });
+  return result.matchedCount === 1;
+}
+
+async function _claimRecord() {
+  // claim a record that is due by updating its `reconciled` time so that
+  // other processes will not claim it; only records for services registered
+  // in this process can be reconciled because their service object configs
+  // must be loaded (records without a service type never can be)
+  const serviceTypes = documentStores.getServiceTypes();
+  if(serviceTypes.length === 0) {
+    return null;
+  }
+  const now = Date.now();
+  const {documents: {usage: {reconcile: {interval}}}} =
+    bedrock.config['service-agent'];
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.findOneAndUpdate({
+    'usage.serviceType': {$in: serviceTypes},
+    'meta.reconciled': {$not: {$gte: now - interval}}
+  }, {
+    $set: {'meta.reconciled': now}
+  }, {
+    projection: {_id: 0, meta: 1, usage: 1},
+    returnDocument: 'after'
+  });
+}
+
+async function _releaseRecord({record}) {
+  // make a record that failed to reconcile due again after the sweep
+  // interval instead of after the full reconcile interval
+  const {documents: {usage: {reconcile: {interval, sweepInterval}}}} =
+    bedrock.config['service-agent'];
+  const {meta: {reconciled}, usage: {serviceObjectId}} = record;
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({
+    'usage.serviceObjectId': serviceObjectId,
+    'meta.reconciled': reconciled
+  }, {
+    $set: {'meta.reconciled': reconciled - interval + sweepInterval}
+  });
+}
+
+async function _insert({serviceObjectId, serviceType}) {
+  const now = Date.now();
+  const record = {
+    meta: {created: now, updated: now},
+    usage: {serviceObjectId, serviceType, documents: 0, bytes: 0}
+  };
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(record);
+  } catch(e) {
+    // ignore record created concurrently
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+  }
+}
+
+async function _touchMeter({meterId}) {
+  // storage usage is aggregated when a meter is reported; using zero
+  // operations marks the meter as touched so it will be reported soon
+  if(meterId !== undefined) {
+    await meters.use({id: meterId, operations: 0});
+  }
+}
+
+async function _startSweeper({signal}) {
+  const {documents: {usage: {reconcile: {sweepInterval}}}} =
+    bedrock.config['service-agent'];
+  while(!signal.aborted) {
+    try {
+      const {reconciled, failed} = await sweep({signal});
+      if(reconciled > 0 || failed > 0) {
+        logger.info(
+          `Document usage sweep reconciled ${reconciled} service ` +
+          `object(s); ${failed} failed.`);
+      }
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during document usage sweep.', {error});
+    }
+    // wait for next sweep; an abort will end the loop
+    await delay(sweepInterval, undefined, {signal}).catch(() => {});
+  }
+}
@@ -35,6 +35,16 @@ export async function createCapabilityAgent() {
   return {capabilityAgent, secret};
 }
 
+// computes exponential backoff delay, with optional "equal jitter"
+export function getRetryDelay({attempt, retry}) {
+  const {minDelay, maxDelay, factor, jitter} = retry;
+  const delay = Math.min(maxDelay, minDelay * (factor ** (attempt - 1)));
+  if(!jitter) {
+    return delay;
+  }
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
 export async function delegate({
   capability, controller, delegationSigner, maxExpires
 } = {}) {
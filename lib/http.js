@@ -1,18 +1,57 @@
 /*!
- * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as documentChanges from './documentChanges.js';
 import * as documentStores from './documentStores.js';
 import * as serviceAgents from './serviceAgents.js';
+import {
+  compile, createValidateMiddleware as validate
+} from '@bedrock/validation';
 import {metering, middleware} from '@bedrock/service-core';
 import {asyncHandler} from '@bedrock/express';
 import cors from 'cors';
-import {createValidateMiddleware as validate} from '@bedrock/validation';
+import {EdvClient} from '@digitalbazaar/edv-client';
+import {getAppIdentity} from '@bedrock/app-identity';
+import jsonpatch from 'fast-json-patch';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
 
 const {util: {BedrockError}} = bedrock;
 
+// maximum attempts to create a document with a generated ID
+const MAX_ID_GENERATION_ATTEMPTS = 3;
+// document IDs that would collide with other document routes
+const RESERVED_DOCUMENT_IDS = new Set(['batch']);
+
+const LIST_QUERY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limit: {type: 'string', pattern: '^[1-9][0-9]{0,3}$'},
+    cursor: {type: 'string', maxLength: 1024}
+  }
+};
+
+const DOCUMENT_LIST_QUERY_SCHEMA = {
+  ...LIST_QUERY_SCHEMA,
+  properties: {
+    ...LIST_QUERY_SCHEMA.properties,
+    watch: {type: 'string', enum: ['true', 'false']}
+  }
+};
+
+const DELETE_QUERY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    sequence: {type: 'string', pattern: '^(0|[1-9][0-9]{0,15})$'}
+  }
+};
+
 bedrock.events.on('bedrock-express.configure.routes', app => {
-  const {routes} = bedrock.config['service-agent'];
+  const cfg = bedrock.config['service-agent'];
+  const {routes} = cfg;
 
   // get a service agent; this is a public endpoint
   app.get(
@@ -20,29 +59,164 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
     cors(),
     asyncHandler(async (req, res) => {
       const {serviceType} = req.params;
-      const record = await serviceAgents.get({serviceType});
-      // return `id` and `serviceType` only
-      const {serviceAgent} = record;
-      res.json({
+      let record;
+      try {
+        record = await serviceAgents.get({serviceType});
+      } catch(e) {
+        if(e.name === 'NotFoundError') {
+          throw new BedrockError(
+            `Service agent for service type "${serviceType}" not found.`, {
+              name: 'NotFoundError',
+              details: {
+                serviceType,
+                httpStatusCode: 404,
+                public: true
+              },
+              cause: e
+            });
+        }
+        throw e;
+      }
+
+      const {serviceAgent, meta} = record;
+      const {serviceAgentDescriptor: options} = cfg;
+      const descriptor = {
         id: serviceAgent.id,
         serviceType: serviceAgent.serviceType
+      };
+      if(options.includeKeys) {
+        // note: service agents have no key agreement keys, so no
+        // `keyAgreement` is included
+        descriptor.verificationMethod =
+          await serviceAgents.getVerificationMethod({serviceAgent});
+      }
+
+      // the descriptor only changes when the record does, so it can be
+      // cached by clients; express will respond with `304` when the `ETag`
+      // matches `If-None-Match`; these are only set once the descriptor has
+      // been built so that error responses are not cached
+      res.set({
+        'Cache-Control': options.cacheControl,
+        ETag: `"${serviceAgent.sequence}-${meta.updated}"`,
+        'Last-Modified': new Date(meta.updated).toUTCString()
       });
+      res.json(descriptor);
     }));
+
+  // list service agents; this is an optional endpoint that requires admin
+  // authorization
+  if(routes.listServiceAgents) {
+    app.get(
+      routes.listServiceAgents,
+      validate({querySchema: LIST_QUERY_SCHEMA}),
+      _authorizeAdminRequest(),
+      asyncHandler(async (req, res) => {
+        const {cursor} = req.query;
+        const limit = req.query.limit === undefined ?
+          undefined : parseInt(req.query.limit, 10);
+        const result = await serviceAgents.list({limit, cursor});
+        res.json(result);
+      }));
+  }
+
+  // verify a service agent is usable; this is an optional endpoint that
+  // requires admin authorization
+  if(routes.verifyServiceAgent) {
+    app.get(
+      routes.verifyServiceAgent,
+      _authorizeAdminRequest(),
+      asyncHandler(async (req, res) => {
+        const {serviceType} = req.params;
+        const result = await serviceAgents.verify({serviceType});
+        // use `503` to signal that the service agent is not ready for use
+        res.status(result.verified ? 200 : 503).json(result);
+      }));
+  }
 });
 
 // helper for adding HTTP routes for documents of a particular type to a
-// particular instance (service object)
+// particular instance (service object); if `idGenerator` is given, the
+// server mints a document ID on create when none is given: `urn:uuid` for a
+// UUID URN, `multibase` for a random multibase-encoded ID, or a function
+// `({req, config})` that returns (or resolves to) an ID; if `history` is
+// `true`, prior versions of each document are kept (see
+// `documents.history.retention`) and can be listed, a page at a time, via
+// `GET {basePath}/:pathParam/versions`; if `softDelete` is `true`, deleted
+// documents are kept for the configured retention period and can be restored
+// via `POST {basePath}/:pathParam/restore`; if `ttl` is given, documents
+// expire (and are then purged) `ttl` milliseconds after they were last
+// written; `indexes` may be given to declare additional EDV indexes (see
+// `DocumentStore.ensureIndexes()`), e.g., on `content.{contentProperty}.*`
+// attributes, so documents can be found via `DocumentStore.find()`; documents
+// written before an index is declared are not indexed until written again;
+// changes to documents are streamed as server-sent events via
+// `GET {basePath}?watch=true`: each `change` event has the change's ID in
+// the service object's change log as its `id` and `{operation, id, sequence,
+// date}` as its data; a stream resumes after the change in its
+// `Last-Event-ID` header (or starts with new changes) and sends a `reset`
+// event if changes since then are no longer logged (see
+// `documents.changes`); documents cannot be written with the ID `batch` as
+// `POST {basePath}/batch` creates, updates, or deletes many documents;
+// optional `hooks` may be given to customize the routes:
+// - `beforeCreate({req, config, content})` and
+//   `beforeUpdate({req, config, doc, content})` are called before a document
+//   is written and may throw to reject the write,
+// - `afterWrite({req, config, doc, content, operation})` is called, without
+//   waiting, after a document is created, updated, deleted, or restored,
+// - `beforeRead({req, config, doc})` is called before a document is returned
+//   and may throw to reject the read,
+// - `transformResponse({req, config, doc, content})` returns the response
+//   body to use for a document in place of `content`;
+// hooks must not modify `doc` as it may be cached; document counts and bytes
+// are tracked for each service object and the service object's meter is
+// notified of changes; document storage is included in reported meter usage
+// when the service uses `documentUsage.aggregateUsage()` as its
+// `usageAggregator`
 export function addDocumentRoutes({
   app, service,
   type, typeName, contentProperty,
   basePath, pathParam,
-  createBodySchema, updateBodySchema
+  createBodySchema, updateBodySchema,
+  idGenerator, history = false, softDelete = false, ttl, indexes,
+  hooks = {}
 }) {
   const {routePrefix, serviceType} = service;
+  // allow documents for the service to be purged and their usage reconciled
+  documentStores.registerService({service});
+  // optional function for minting document IDs on create
+  const generateId = _getIdGenerator({idGenerator});
+  const {
+    beforeCreate, beforeUpdate, afterWrite, beforeRead, transformResponse
+  } = _getHooks({hooks});
   const baseRoute = `${routePrefix}/:localId${basePath}`;
   const paramRoute = `${baseRoute}/:${pathParam}`;
 
   const getConfigMiddleware = middleware.createGetConfigMiddleware({service});
+  // used to validate patched documents
+  const validateUpdateBody = compile({schema: updateBodySchema});
+
+  if(indexes !== undefined && !Array.isArray(indexes)) {
+    throw new TypeError('"indexes" must be an array.');
+  }
+  if(ttl !== undefined && !(Number.isSafeInteger(ttl) && ttl > 0)) {
+    throw new TypeError('"ttl" must be a positive integer.');
+  }
+
+  // gets the meta data for a document that is being written
+  function getMeta() {
+    return ttl === undefined ? {type} : {type, expires: Date.now() + ttl};
+  }
+
+  // gets the response body for a document
+  async function getResponse({req, config, doc}) {
+    const content = {
+      id: doc.content.id,
+      [contentProperty]: doc.content[contentProperty],
+      sequence: doc.sequence
+    };
+    return transformResponse ?
+      transformResponse({req, config, doc, content}) : content;
+  }
 
   /* Note: CORS is used on all endpoints. This is safe because authorization
   uses HTTP signatures + capabilities, not cookies; CSRF is not possible. */
@@ -57,40 +231,177 @@ export function addDocumentRoutes({
     middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
       const {config} = req.serviceObject;
-      const {documentStore} = await documentStores.get({config, serviceType});
-
-      const {id} = req.body;
-      const content = {id, [contentProperty]: req.body[contentProperty]};
-      const meta = {type};
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
 
-      try {
-        await documentStore.upsert({
-          content, meta,
-          async mutator() {
-            // abort upsert due to duplicate
-            const error = new Error('AbortError');
-            error.name = 'AbortError';
-            throw error;
+      // use the client's `id` or mint one if an `idGenerator` was given
+      const generated = req.body.id === undefined;
+      if(generated && !generateId) {
+        throw new BedrockError(`Could not create ${typeName}; "id" required.`, {
+          name: 'DataError',
+          details: {
+            httpStatusCode: 400,
+            public: true
           }
         });
-      } catch(e) {
-        if(e.name === 'AbortError') {
-          throw new BedrockError(`Duplicate ${typeName}.`, {
-            name: 'DuplicateError',
-            details: {
-              httpStatusCode: 409,
-              public: true
-            }
+      }
+      const meta = getMeta();
+      // `If-None-Match: *` changes a duplicate error into a failed
+      // precondition
+      const ifNoneMatch = _isIfNoneMatchAny({req});
+
+      // loop to retry with a new ID in the unlikely event that a generated
+      // ID is a duplicate
+      let created;
+      for(let attempt = 1; ; ++attempt) {
+        const id = generated ?
+          await _generateDocumentId({generateId, req, config}) : req.body.id;
+        _assertNotReservedId({id, typeName});
+        const content = {id, [contentProperty]: req.body[contentProperty]};
+        await beforeCreate?.({req, config, content});
+        try {
+          created = await documentStore.upsert({
+            content, meta, mutator: _abortDuplicate,
+            precondition: _createReplacePrecondition({type})
           });
+          break;
+        } catch(e) {
+          if(e.name === 'AbortError' && generated &&
+            attempt < MAX_ID_GENERATION_ATTEMPTS) {
+            continue;
+          }
+          throw _toCreateError({e, typeName, ifNoneMatch});
         }
-        throw e;
       }
+      const {id} = created.content;
 
       const location = `${config.id}${basePath}/${encodeURIComponent(id)}`;
-      res.status(201).location(location).json({...content, sequence: 0});
+      res.status(201).location(location).set('ETag', _getEtag(created))
+        .json(await getResponse({req, config, doc: created}));
 
       // meter operation usage
       metering.reportOperationUsage({req});
+
+      _runAfterWrite(
+        {afterWrite, req, config, doc: created, operation: 'create'});
+    }));
+
+  // create, update, or delete many documents; documents cannot be written
+  // with the ID `batch` so that this route never collides with the update
+  // route
+  const batchRoute = `${baseRoute}/batch`;
+  const validateCreateBody = compile({schema: createBodySchema});
+  const {documents: {batch: batchOptions}} = bedrock.config['service-agent'];
+  app.options(batchRoute, cors());
+  app.post(
+    batchRoute,
+    cors(),
+    validate({bodySchema: _createBatchBodySchema(batchOptions)}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
+      const meta = getMeta();
+
+      // build a document store operation for each valid request operation;
+      // invalid request operations get an error result immediately
+      const {operations: ops} = req.body;
+      const results = new Array(ops.length);
+      const pending = [];
+      for(const [index, op] of ops.entries()) {
+        try {
+          pending.push({index, operation: await _createBatchOperation({op})});
+        } catch(e) {
+          results[index] = _toBatchResult({id: _getBatchOpId({op}), e});
+        }
+      }
+
+      const outcomes = await documentStore.upsertMany({
+        operations: pending.map(({operation}) => operation),
+        concurrency: batchOptions.concurrency
+      });
+      for(const [i, {doc, deleted, error}] of outcomes.entries()) {
+        const {index, operation} = pending[i];
+        const op = ops[index];
+        const id = operation.content?.id ?? operation.id;
+        if(error) {
+          results[index] = _toBatchResult(
+            {id, e: _toBatchOperationError({op, e: error, typeName})});
+        } else if(op.op === 'delete' && !deleted) {
+          results[index] = _toBatchResult({id, e: _notFoundError({typeName})});
+        } else {
+          results[index] = op.op === 'delete' ? {id, status: 204} : {
+            id, status: op.op === 'create' ? 201 : 200, sequence: doc.sequence
+          };
+          // meter operation usage
+          metering.reportOperationUsage({req});
+          _runAfterWrite({afterWrite, req, config, doc, operation: op.op});
+        }
+      }
+
+      res.json({results});
+
+      async function _createBatchOperation({op}) {
+        if(op.op === 'delete') {
+          if(op.id === undefined) {
+            throw _batchDataError({message: '"id" is required.'});
+          }
+          return {
+            type: 'delete',
+            id: op.id,
+            history,
+            soft: softDelete,
+            precondition: _createDeletePrecondition(
+              {type, sequence: op.sequence})
+          };
+        }
+
+        const body = op.document;
+        if(body === undefined) {
+          throw _batchDataError({message: '"document" is required.'});
+        }
+        const result = op.op === 'create' ?
+          validateCreateBody(body) : validateUpdateBody(body);
+        if(!result.valid) {
+          throw result.error;
+        }
+
+        if(op.op === 'create') {
+          let {id} = body;
+          if(id === undefined) {
+            if(!generateId) {
+              throw _batchDataError({message: '"id" is required.'});
+            }
+            id = await _generateDocumentId({generateId, req, config});
+          }
+          _assertNotReservedId({id, typeName});
+          const content = {id, [contentProperty]: body[contentProperty]};
+          await beforeCreate?.({req, config, content});
+          return {
+            type: 'upsert', content, meta, mutator: _abortDuplicate,
+            precondition: _createReplacePrecondition({type})
+          };
+        }
+
+        // there are no per-operation headers, so `sequence` is required
+        const {id, sequence} = body;
+        if(sequence === undefined) {
+          throw _batchDataError({message: '"sequence" is required.'});
+        }
+        _assertNotReservedId({id, typeName});
+        const content = {id, [contentProperty]: body[contentProperty]};
+        return {
+          type: 'upsert', content, meta, history,
+          mutator: _createUpdateMutator({
+            type, typeName, content, meta, sequence,
+            beforeUpdate: _bindHook({hook: beforeUpdate, req, config})
+          }),
+          precondition: _createReplacePrecondition(
+            {type, typeName, update: {sequence}})
+        };
+      }
     }));
 
   // update an existing document
@@ -103,46 +414,148 @@ export function addDocumentRoutes({
     middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
       const {config} = req.serviceObject;
-      const {documentStore} = await documentStores.get({config, serviceType});
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
 
       const {id, sequence} = req.body;
+      _assertNotReservedId({id, typeName});
       const content = {id, [contentProperty]: req.body[contentProperty]};
-      const meta = {type};
+      const meta = getMeta();
 
+      // the next `sequence` (in the body) and/or `If-Match` (the current
+      // sequence) or `If-None-Match: *` (no existing document) preconditions
+      // must be given
+      const ifMatch = _parseIfMatch({req});
+      const ifNoneMatch = _isIfNoneMatchAny({req});
+      if(sequence === undefined && ifMatch === undefined && !ifNoneMatch) {
+        throw new BedrockError(
+          `Could not update ${typeName}; "sequence" or an "If-Match" ` +
+          'header is required.', {
+            name: 'DataError',
+            details: {
+              httpStatusCode: 428,
+              public: true
+            }
+          });
+      }
+
+      let updated;
       try {
-        await documentStore.upsert({
-          content, meta,
+        updated = await documentStore.upsert({
+          content, meta, history,
+          // `If-Match` requires an existing document
+          allowCreate: ifMatch === undefined,
+          mutator: _createUpdateMutator({
+            type, typeName, content, meta, sequence, ifMatch, ifNoneMatch,
+            beforeUpdate: _bindHook({hook: beforeUpdate, req, config})
+          }),
+          precondition: _createReplacePrecondition(
+            {type, typeName, update: {sequence, ifNoneMatch}})
+        });
+      } catch(e) {
+        throw _toUpdateError({e, typeName, ifMatch});
+      }
+
+      res.set('ETag', _getEtag(updated))
+        .json(await getResponse({req, config, doc: updated}));
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+
+      _runAfterWrite(
+        {afterWrite, req, config, doc: updated, operation: 'update'});
+    }));
+
+  // patch an existing document
+  app.patch(
+    paramRoute,
+    cors(),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const patchType = _getPatchType({req});
+      const {config} = req.serviceObject;
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
+
+      const id = req.params[pathParam];
+      const meta = getMeta();
+      const ifMatch = _parseIfMatch({req});
+
+      let updated;
+      try {
+        updated = await documentStore.upsert({
+          content: {id}, meta, history,
+          // a patch can only be applied to an existing document
+          allowCreate: false,
           async mutator({doc}) {
             if(doc.meta.type !== type) {
-              // wrong document type, update not allowed
-              const error = new Error(
-                `Existing document is not a ${typeName}.`);
-              error.name = 'NotAllowedError';
+              // invalid meta type, treat as document not found
+              const error = new Error('NotFoundError');
+              error.name = 'NotFoundError';
               throw error;
             }
+            if(!_matchesIfMatch({ifMatch, doc})) {
+              // abort upsert due to failed precondition
+              throw _createAbortError({
+                httpStatusCode: 412, expected: ifMatch, actual: doc.sequence
+              });
+            }
 
-            if(doc.sequence !== (sequence - 1)) {
-              // abort upsert due to out of sequence
-              const error = new Error('AbortError');
-              error.name = 'AbortError';
-              error.actual = doc.sequence;
-              throw error;
+            // apply patch to the same representation that is returned by
+            // the get route (without `sequence`) so paths are the same
+            const patched = _applyPatch({
+              patchType,
+              patch: req.body,
+              document: {
+                id: doc.content.id,
+                [contentProperty]: doc.content[contentProperty]
+              }
+            });
+            if(!(patched && typeof patched === 'object' &&
+              patched.id === id)) {
+              throw new BedrockError(
+                `Could not patch ${typeName}; "id" must not be changed.`, {
+                  name: 'DataError',
+                  details: {
+                    httpStatusCode: 400,
+                    public: true
+                  }
+                });
+            }
+
+            // validate the result as if it had been sent to the update route
+            const result = validateUpdateBody(
+              {...patched, sequence: doc.sequence + 1});
+            if(!result.valid) {
+              throw result.error;
             }
-            // update content and meta
+
+            const content = {id, [contentProperty]: patched[contentProperty]};
+            await beforeUpdate?.({req, config, doc, content});
             doc.content = content;
             doc.meta = meta;
             return doc;
           }
         });
       } catch(e) {
+        if(e.name === 'NotFoundError') {
+          throw new BedrockError(`${typeName} not found.`, {
+            name: 'NotFoundError',
+            details: {
+              httpStatusCode: 404,
+              public: true
+            }
+          });
+        }
         if(e.name === 'AbortError') {
           throw new BedrockError(
-            `Could not update ${typeName}; unexpected sequence.`, {
+            `Could not patch ${typeName}; precondition failed.`, {
               name: 'InvalidStateError',
               details: {
-                expected: sequence - 1,
+                expected: e.expected,
                 actual: e.actual,
-                httpStatusCode: 409,
+                httpStatusCode: e.httpStatusCode,
                 public: true
               }
             });
@@ -150,10 +563,14 @@ export function addDocumentRoutes({
         throw e;
       }
 
-      res.json({...content, sequence});
+      res.set('ETag', _getEtag(updated))
+        .json(await getResponse({req, config, doc: updated}));
 
       // meter operation usage
       metering.reportOperationUsage({req});
+
+      _runAfterWrite(
+        {afterWrite, req, config, doc: updated, operation: 'update'});
     }));
 
   // get a stored document
@@ -164,43 +581,715 @@ export function addDocumentRoutes({
     middleware.authorizeServiceObjectRequest(),
     asyncHandler(async (req, res) => {
       const {config} = req.serviceObject;
-      const {documentStore} = await documentStores.get({config, serviceType});
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
+
+      const doc = await _getDocument(
+        {documentStore, id: req.params[pathParam], type, typeName});
+      await beforeRead?.({req, config, doc});
+
+      // express will respond with `304` when the `ETag` matches
+      // `If-None-Match`
+      res.set('ETag', _getEtag(doc))
+        .json(await getResponse({req, config, doc}));
+    }));
+
+  // list the prior versions of a stored document
+  if(history) {
+    app.get(
+      `${paramRoute}/versions`,
+      cors(),
+      validate({querySchema: LIST_QUERY_SCHEMA}),
+      getConfigMiddleware,
+      middleware.authorizeServiceObjectRequest(),
+      asyncHandler(async (req, res) => {
+        const {config} = req.serviceObject;
+        const {documentStore} = await documentStores.get(
+          {config, serviceType, indexes});
+
+        const id = req.params[pathParam];
+        const doc = await _getDocument({documentStore, id, type, typeName});
+        await beforeRead?.({req, config, doc});
+
+        // each version is returned as the document was returned at the time
+        const {cursor} = req.query;
+        const limit = req.query.limit === undefined ?
+          undefined : parseInt(req.query.limit, 10);
+        const {versions, cursor: next} = await documentStore.listVersions(
+          {id, limit, cursor});
+        const result = {
+          versions: await Promise.all(versions
+            .filter(({meta}) => meta.type === type)
+            .map(async ({content, meta, sequence, created}) => ({
+              ...await getResponse(
+                {req, config, doc: {content, meta, sequence}}),
+              created
+            })))
+        };
+        if(next !== undefined) {
+          result.cursor = next;
+        }
 
+        res.json(result);
+      }));
+  }
+
+  // delete a stored document
+  app.delete(
+    paramRoute,
+    cors(),
+    validate({querySchema: DELETE_QUERY_SCHEMA}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
+
+      // optional preconditions on the current sequence of the document
+      const ifMatch = _parseIfMatch({req});
+      const sequence = req.query.sequence === undefined ?
+        undefined : parseInt(req.query.sequence, 10);
+
+      let deleted;
       let doc;
       try {
-        doc = await documentStore.get({id: req.params[pathParam]});
+        ({deleted, doc} = await documentStore.delete({
+          id: req.params[pathParam],
+          history,
+          soft: softDelete,
+          precondition: _createDeletePrecondition({type, ifMatch, sequence})
+        }));
       } catch(e) {
-        // document not found
-        if(e.name === 'NotFoundError') {
-          throw new BedrockError(`${typeName} not found.`, {
-            name: 'NotFoundError',
-            details: {
-              httpStatusCode: 404,
-              public: true
+        throw _toDeleteError({e, typeName});
+      }
+
+      if(!deleted) {
+        throw _notFoundError({typeName});
+      }
+
+      res.status(204).end();
+
+      // meter operation usage
+      metering.reportOperationUsage({req});
+
+      _runAfterWrite({afterWrite, req, config, doc, operation: 'delete'});
+    }));
+
+  // restore a soft deleted document
+  if(softDelete) {
+    const restoreRoute = `${paramRoute}/restore`;
+    app.options(restoreRoute, cors());
+    app.post(
+      restoreRoute,
+      cors(),
+      getConfigMiddleware,
+      middleware.authorizeServiceObjectRequest(),
+      asyncHandler(async (req, res) => {
+        const {config} = req.serviceObject;
+        const {documentStore} = await documentStores.get(
+          {config, serviceType, indexes});
+
+        let restored;
+        try {
+          restored = await documentStore.restore({
+            id: req.params[pathParam],
+            async precondition({doc}) {
+              // ensure `meta.type` (only set by server) matches expectations
+              if(doc.meta.type !== type) {
+                // invalid meta type, treat as document not found
+                const error = new Error('NotFoundError');
+                error.name = 'NotFoundError';
+                throw error;
+              }
             }
           });
+        } catch(e) {
+          if(e.name === 'NotFoundError') {
+            throw new BedrockError(`Deleted ${typeName} not found.`, {
+              name: 'NotFoundError',
+              details: {
+                httpStatusCode: 404,
+                public: true
+              }
+            });
+          }
+          throw e;
         }
-        throw e;
-      }
 
-      // ensure `meta.type` (only set by server) matches expectations
-      if(doc.meta.type !== type) {
-        // invalid meta type, treat as document not found
-        throw new BedrockError(`${typeName} not found.`, {
-          name: 'NotFoundError',
-          details: {
-            httpStatusCode: 404,
-            public: true
-          }
-        });
+        res.set('ETag', _getEtag(restored))
+          .json(await getResponse({req, config, doc: restored}));
+
+        // meter operation usage
+        metering.reportOperationUsage({req});
+
+        _runAfterWrite(
+          {afterWrite, req, config, doc: restored, operation: 'restore'});
+      }));
+  }
+
+  // list stored documents or, with `?watch=true`, stream changes to them
+  app.get(
+    baseRoute,
+    cors(),
+    validate({querySchema: DOCUMENT_LIST_QUERY_SCHEMA}),
+    getConfigMiddleware,
+    middleware.authorizeServiceObjectRequest(),
+    asyncHandler(async (req, res) => {
+      const {config} = req.serviceObject;
+      if(req.query.watch === 'true') {
+        return _watchChanges({req, res, config, type});
       }
+      const {documentStore} = await documentStores.get(
+        {config, serviceType, indexes});
+
+      const {cursor} = req.query;
+      const limit = req.query.limit === undefined ?
+        undefined : parseInt(req.query.limit, 10);
+      const {documents, cursor: next} = await documentStore.find(
+        {type, limit, cursor});
 
       const result = {
-        id: doc.content.id,
-        [contentProperty]: doc.content[contentProperty],
-        sequence: doc.sequence
+        documents: await Promise.all(documents.map(async doc => {
+          await beforeRead?.({req, config, doc});
+          return getResponse({req, config, doc});
+        }))
       };
+      if(next !== undefined) {
+        result.cursor = next;
+      }
 
       res.json(result);
     }));
 }
+
+// streams changes to documents of the given type as server-sent events
+async function _watchChanges({req, res, config, type}) {
+  const after = _parseLastEventId({req});
+  const {documents: {changes: {heartbeatInterval}}} =
+    bedrock.config['service-agent'];
+
+  // stop watching when the client disconnects
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache'
+  });
+  res.flushHeaders();
+  // `flush` is only present when responses are compressed
+  const write = data => {
+    res.write(data);
+    res.flush?.();
+  };
+  const heartbeat = setInterval(
+    () => write(': heartbeat\n\n'), heartbeatInterval);
+
+  // meter operation usage
+  metering.reportOperationUsage({req});
+
+  try {
+    const changeLog = documentChanges.watch(
+      {serviceObjectId: config.id, after, signal: controller.signal});
+    for await (const {changes, lastEventId, complete} of changeLog) {
+      if(!complete) {
+        // some changes are no longer logged; the client must reload
+        write(`id: ${lastEventId}\nevent: reset\ndata: {}\n\n`);
+        continue;
+      }
+      for(const {eventId, operation, id, sequence, date} of changes
+        .filter(change => change.type === type)) {
+        const data = JSON.stringify({operation, id, sequence, date});
+        write(`id: ${eventId}\nevent: change\ndata: ${data}\n\n`);
+      }
+      // advance the client's last event ID past changes to other types of
+      // documents without dispatching an event
+      write(`id: ${lastEventId}\n\n`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+function _parseLastEventId({req}) {
+  const lastEventId = req.get('last-event-id');
+  if(lastEventId === undefined) {
+    return;
+  }
+  if(!/^(0|[1-9][0-9]{0,15})$/.test(lastEventId)) {
+    throw new BedrockError('Invalid "Last-Event-ID" header.', {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        public: true
+      }
+    });
+  }
+  return parseInt(lastEventId, 10);
+}
+
+async function _getDocument({documentStore, id, type, typeName}) {
+  let doc;
+  try {
+    doc = await documentStore.get({id});
+  } catch(e) {
+    // document not found
+    if(e.name === 'NotFoundError') {
+      throw _notFoundError({typeName});
+    }
+    throw e;
+  }
+
+  // ensure `meta.type` (only set by server) matches expectations
+  if(doc.meta.type !== type) {
+    // invalid meta type, treat as document not found
+    throw _notFoundError({typeName});
+  }
+  return doc;
+}
+
+function _abortDuplicate() {
+  // abort upsert due to duplicate
+  const error = new Error('AbortError');
+  error.name = 'AbortError';
+  throw error;
+}
+
+function _toCreateError({e, typeName, ifNoneMatch = false}) {
+  if(e.name !== 'AbortError') {
+    return e;
+  }
+  return new BedrockError(`Duplicate ${typeName}.`, {
+    name: 'DuplicateError',
+    details: {
+      httpStatusCode: ifNoneMatch ? 412 : 409,
+      public: true
+    }
+  });
+}
+
+function _createUpdateMutator({
+  type, typeName, content, meta, sequence, ifMatch, ifNoneMatch = false,
+  beforeUpdate
+}) {
+  return async function mutator({doc}) {
+    if(doc.meta.type !== type) {
+      // wrong document type, update not allowed
+      const error = new Error(`Existing document is not a ${typeName}.`);
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+
+    if(ifNoneMatch || !_matchesIfMatch({ifMatch, doc})) {
+      // abort upsert due to failed precondition
+      throw _createAbortError({
+        httpStatusCode: 412, expected: ifMatch, actual: doc.sequence
+      });
+    }
+    if(sequence !== undefined && doc.sequence !== (sequence - 1)) {
+      // abort upsert due to out of sequence
+      throw _createAbortError({
+        httpStatusCode: 409, expected: sequence - 1, actual: doc.sequence
+      });
+    }
+    await beforeUpdate?.({doc, content});
+    // update content and meta
+    doc.content = content;
+    doc.meta = meta;
+    return doc;
+  };
+}
+
+// creates a precondition for replacing a soft deleted or expired document;
+// a document of another type is never replaced and, if `update` is given, a
+// document of the same type is not replaced either as the update expects the
+// document to exist
+function _createReplacePrecondition({type, typeName, update}) {
+  return async function precondition({doc}) {
+    if(!update) {
+      if(doc.meta.type !== type) {
+        // the ID is used by a document of another type
+        _abortDuplicate();
+      }
+      return;
+    }
+    if(doc.meta.type !== type) {
+      // wrong document type, update not allowed
+      const error = new Error(`Existing document is not a ${typeName}.`);
+      error.name = 'NotAllowedError';
+      throw error;
+    }
+    const {sequence, ifNoneMatch = false} = update;
+    throw _createAbortError({
+      httpStatusCode: ifNoneMatch ? 412 : 409,
+      expected: sequence === undefined ? undefined : sequence - 1,
+      actual: doc.sequence
+    });
+  };
+}
+
+function _toUpdateError({e, typeName, ifMatch}) {
+  if(e.name === 'NotAllowedError' && !(e instanceof BedrockError)) {
+    // existing document has a different `meta.type`
+    return new BedrockError(
+      `Could not update ${typeName}; existing document is not a ` +
+      `${typeName}.`, {
+        name: 'NotAllowedError',
+        details: {
+          httpStatusCode: 403,
+          public: true
+        },
+        cause: e
+      });
+  }
+  if(e.name === 'NotFoundError') {
+    // only thrown when `If-Match` is given and there is no document
+    return new BedrockError(
+      `Could not update ${typeName}; precondition failed.`, {
+        name: 'InvalidStateError',
+        details: {
+          expected: ifMatch,
+          httpStatusCode: 412,
+          public: true
+        },
+        cause: e
+      });
+  }
+  return _toAbortError({e, typeName, action: 'update'});
+}
+
+function _createDeletePrecondition({type, ifMatch, sequence}) {
+  return async function precondition({doc}) {
+    // ensure `meta.type` (only set by server) matches expectations
+    if(doc.meta.type !== type) {
+      // invalid meta type, treat as document not found
+      const error = new Error('NotFoundError');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    if(!_matchesIfMatch({ifMatch, doc})) {
+      throw _createAbortError({
+        httpStatusCode: 412, expected: ifMatch, actual: doc.sequence
+      });
+    }
+    if(sequence !== undefined && doc.sequence !== sequence) {
+      throw _createAbortError({
+        httpStatusCode: 409, expected: sequence, actual: doc.sequence
+      });
+    }
+  };
+}
+
+function _toDeleteError({e, typeName}) {
+  return _toAbortError({e, typeName, action: 'delete'});
+}
+
+function _toAbortError({e, typeName, action}) {
+  if(e.name !== 'AbortError') {
+    return e;
+  }
+  const reason = e.httpStatusCode === 412 ?
+    'precondition failed' : 'unexpected sequence';
+  return new BedrockError(`Could not ${action} ${typeName}; ${reason}.`, {
+    name: 'InvalidStateError',
+    details: {
+      expected: e.expected,
+      actual: e.actual,
+      httpStatusCode: e.httpStatusCode,
+      public: true
+    }
+  });
+}
+
+function _assertNotReservedId({id, typeName}) {
+  if(RESERVED_DOCUMENT_IDS.has(id)) {
+    throw new BedrockError(
+      `Could not write ${typeName}; "${id}" is a reserved ID.`, {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+}
+
+function _notFoundError({typeName}) {
+  return new BedrockError(`${typeName} not found.`, {
+    name: 'NotFoundError',
+    details: {
+      httpStatusCode: 404,
+      public: true
+    }
+  });
+}
+
+function _createBatchBodySchema({maxOperations}) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['operations'],
+    properties: {
+      operations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: maxOperations,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['op'],
+          properties: {
+            op: {enum: ['create', 'update', 'delete']},
+            // body for `create` or `update`
+            document: {type: 'object'},
+            // `id` and optional current `sequence` for `delete`
+            id: {type: 'string'},
+            sequence: {
+              type: 'integer',
+              minimum: 0,
+              maximum: Number.MAX_SAFE_INTEGER - 1
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+function _getBatchOpId({op}) {
+  return op.op === 'delete' ? op.id : op.document?.id;
+}
+
+function _batchDataError({message}) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {
+      httpStatusCode: 400,
+      public: true
+    }
+  });
+}
+
+function _toBatchOperationError({op, e, typeName}) {
+  if(op.op === 'create') {
+    return _toCreateError({e, typeName});
+  }
+  if(op.op === 'update') {
+    return _toUpdateError({e, typeName});
+  }
+  return _toDeleteError({e, typeName});
+}
+
+function _toBatchResult({id, e}) {
+  let error = e;
+  if(!(error instanceof BedrockError)) {
+    logger.error('Unexpected error in document batch operation.', {error});
+    // not public, so it will be converted to a generic error
+    error = new BedrockError('An unspecified error occurred.', {cause: e});
+  }
+  const {details} = error;
+  const status = (details?.public && details.httpStatusCode) || 500;
+  return {id, status, error: error.toObject({public: true})};
+}
+
+function _getHooks({hooks}) {
+  for(const name of [
+    'beforeCreate', 'beforeUpdate', 'afterWrite', 'beforeRead',
+    'transformResponse'
+  ]) {
+    if(hooks[name] !== undefined && typeof hooks[name] !== 'function') {
+      throw new TypeError(`"hooks.${name}" must be a function.`);
+    }
+  }
+  return hooks;
+}
+
+// binds a hook to the request it is called for
+function _bindHook({hook, req, config}) {
+  return hook && (options => hook({req, config, ...options}));
+}
+
+function _runAfterWrite({afterWrite, req, config, doc, operation}) {
+  if(!afterWrite) {
+    return;
+  }
+  // do not wait for hook to complete; a write has already happened so an
+  // error can only be logged
+  Promise.resolve()
+    .then(() => afterWrite({req, config, doc, content: doc.content, operation}))
+    .catch(error => logger.error(
+      `Error in "afterWrite" hook for document "${doc.content.id}".`,
+      {error}));
+}
+
+function _getIdGenerator({idGenerator}) {
+  if(idGenerator === undefined || typeof idGenerator === 'function') {
+    return idGenerator;
+  }
+  if(idGenerator === 'urn:uuid') {
+    return () => `urn:uuid:${randomUUID()}`;
+  }
+  if(idGenerator === 'multibase') {
+    return () => EdvClient.generateId();
+  }
+  throw new TypeError(
+    '"idGenerator" must be "urn:uuid", "multibase", or a function.');
+}
+
+async function _generateDocumentId({generateId, req, config}) {
+  const id = await generateId({req, config});
+  if(typeof id !== 'string') {
+    throw new TypeError('"idGenerator" must produce a string.');
+  }
+  return id;
+}
+
+// gets the type of patch from the request content type
+function _getPatchType({req}) {
+  if(req.is('application/merge-patch+json')) {
+    return 'merge';
+  }
+  if(req.is('application/json-patch+json')) {
+    return 'json';
+  }
+  throw new BedrockError(
+    'Patch content type must be "application/merge-patch+json" or ' +
+    '"application/json-patch+json".', {
+      name: 'NotSupportedError',
+      details: {
+        httpStatusCode: 415,
+        public: true
+      }
+    });
+}
+
+function _applyPatch({patchType, patch, document}) {
+  if(patchType === 'merge') {
+    return _applyMergePatch({target: document, patch});
+  }
+
+  if(!Array.isArray(patch)) {
+    throw new BedrockError('JSON patch must be an array.', {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        public: true
+      }
+    });
+  }
+  try {
+    // validate operations; do not mutate `document`
+    return jsonpatch.applyPatch(document, patch, true, false).newDocument;
+  } catch(e) {
+    if(!(e instanceof jsonpatch.JsonPatchError)) {
+      throw e;
+    }
+    // a failed `test` operation means the document is not in the state the
+    // client expected
+    const conflict = e.name === 'TEST_OPERATION_FAILED';
+    // note: `e.message` is not used as it includes the whole document
+    throw new BedrockError(`Could not apply JSON patch; ${e.name}.`, {
+      name: conflict ? 'InvalidStateError' : 'DataError',
+      details: {
+        operation: e.index,
+        httpStatusCode: conflict ? 409 : 400,
+        public: true
+      }
+    });
+  }
+}
+
+// applies a JSON merge patch (RFC 7386)
+function _applyMergePatch({target, patch}) {
+  if(!_isObject(patch)) {
+    return patch;
+  }
+  const result = _isObject(target) ? {...target} : {};
+  for(const [key, value] of Object.entries(patch)) {
+    if(key === '__proto__') {
+      throw new BedrockError('Merge patch must not modify "__proto__".', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+    }
+    if(value === null) {
+      delete result[key];
+    } else {
+      result[key] = _applyMergePatch({target: result[key], patch: value});
+    }
+  }
+  return result;
+}
+
+function _isObject(x) {
+  return x !== null && typeof x === 'object' && !Array.isArray(x);
+}
+
+// parses an `If-Match` header; returns `undefined` if there is no header,
+// `'*'` to match any document, or the document sequences to match, parsed
+// from strong ETags of the form `"<sequence>"`
+function _parseIfMatch({req}) {
+  const header = req.get('if-match');
+  if(header === undefined) {
+    return;
+  }
+  if(header.trim() === '*') {
+    return '*';
+  }
+  const sequences = [];
+  for(const etag of header.split(',')) {
+    const match = /^"(\d+)"$/.exec(etag.trim());
+    if(match) {
+      sequences.push(parseInt(match[1], 10));
+    }
+  }
+  return sequences;
+}
+
+function _matchesIfMatch({ifMatch, doc}) {
+  return ifMatch === undefined || ifMatch === '*' ||
+    ifMatch.includes(doc.sequence);
+}
+
+function _isIfNoneMatchAny({req}) {
+  return req.get('if-none-match')?.trim() === '*';
+}
+
+// the ETag for a document is its (strong) EDV document sequence
+function _getEtag({sequence}) {
+  return `"${sequence}"`;
+}
+
+function _createAbortError({httpStatusCode, expected, actual}) {
+  const error = new Error('AbortError');
+  error.name = 'AbortError';
+  error.httpStatusCode = httpStatusCode;
+  error.expected = expected;
+  error.actual = actual;
+  return error;
+}
+
+// authorizes zcap invocations for admin routes; the root controller is the
+// application identity plus any configured admin controllers
+function _authorizeAdminRequest() {
+  return middleware.authorizeZcapInvocation({
+    async getExpectedValues({req}) {
+      // root invocation target is the route URL without any query
+      const [path] = req.originalUrl.split('?');
+      return {
+        host: bedrock.config.server.host,
+        rootInvocationTarget: `${bedrock.config.server.baseUri}${path}`
+      };
+    },
+    async getRootController() {
+      const {admin: {controllers}} = bedrock.config['service-agent'];
+      const {id} = getAppIdentity();
+      return controllers.length === 0 ? id : [id, ...controllers];
+    }
+  });
+}
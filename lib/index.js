@@ -1,18 +1,32 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as documentChanges from './documentChanges.js';
+import * as documentPurges from './documentPurges.js';
 import * as documentStores from './documentStores.js';
+import * as documentUsage from './documentUsage.js';
+import * as leases from './leases.js';
+import * as orphanedKeystores from './orphanedKeystores.js';
 import * as serviceAgents from './serviceAgents.js';
+import * as webhooks from './webhooks.js';
 import {addDocumentRoutes} from './http.js';
+import assert from 'assert-plus';
+import {getRetryDelay} from './helpers.js';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
 import {refreshZcaps} from './refresh.js';
+import {setTimeout} from 'node:timers/promises';
 
 const {util: {BedrockError}} = bedrock;
 
 // load config defaults
 import './config.js';
 
-export {addDocumentRoutes, documentStores, serviceAgents, refreshZcaps};
+export {
+  addDocumentRoutes, documentChanges, documentPurges, documentStores,
+  documentUsage, orphanedKeystores, serviceAgents, refreshZcaps, webhooks
+};
 
 /**
  * Initializes the service agent for the given service type. If it has not
@@ -25,64 +39,199 @@ export {addDocumentRoutes, documentStores, serviceAgents, refreshZcaps};
  * @param {object} options - The options to use.
  * @param {object} options.serviceType - The service type to initialize the
  *   service agent for.
+ * @param {string} [options.didMethod] - The DID method to use if the service
+ *   agent needs to be created; defaults to the configured `didMethod`.
+ * @param {object} [options.didOptions] - The DID method options to use if
+ *   the service agent needs to be created.
+ * @param {object} [options.provisioned] - An already provisioned service
+ *   agent to use instead of creating one; it defaults to the value for the
+ *   service type in the configured `provisionedServiceAgents`; see
+ *   `serviceAgents.fromProvisioned()` for details.
+ * @param {AbortSignal} [options.signal] - An optional signal to abort
+ *   initialization; defaults to a signal that times out after the configured
+ *   `initialize.timeout`.
+ * @param {RetryOptions} [options.retry] - Options to override the configured
+ *   `initialize.retry` policy.
+ * @param {Function} [options.onRetry] - An optional function that is called
+ *   with `({attempt, delay, error})` before each retry.
  *
  * @returns {Promise<object>} Resolves to the service agent information.
  */
-export async function initializeServiceAgent({serviceType} = {}) {
-  /* Note: When the service agent is first created, it is possible that more
-  than one process in a partitioned, asychronous system may attempt to perform
-  the provisioning. This can result in extra unused artifacts (e.g., keystores)
-  that should be cleaned up. However, all disparate processes should eventually
-  agree upon a single service agent instance. */
-
-  // five minutes at most to complete
-  const signal = AbortSignal.timeout(5 * 60 * 1000);
+export async function initializeServiceAgent({
+  serviceType, didMethod, didOptions, provisioned, signal, retry, onRetry
+} = {}) {
+  /* Note: When the service agent is first created, more than one process in
+  a partitioned, asychronous system may attempt to perform the provisioning.
+  To prevent this, a process must acquire a lease for the service type before
+  provisioning; other processes wait and poll for the service agent to be
+  created. If a lease expires before provisioning completes, it is still
+  possible for extra unused artifacts (e.g., keystores) to be created; these
+  are recorded as orphaned so they can be cleaned up by a sweeper. In any
+  case, all disparate processes should eventually agree upon a single service
+  agent instance. */
+  const {
+    initialize: cfg, provisionedServiceAgents
+  } = bedrock.config['service-agent'];
+  provisioned = provisioned ?? provisionedServiceAgents[serviceType];
+  signal = signal ?? AbortSignal.timeout(cfg.timeout);
+  retry = {...cfg.retry, ...retry};
+  assert.optionalFunc(onRetry, 'onRetry');
+  assert.number(retry.maxAttempts, 'retry.maxAttempts');
+  assert.number(retry.minDelay, 'retry.minDelay');
+  assert.number(retry.maxDelay, 'retry.maxDelay');
+  assert.number(retry.factor, 'retry.factor');
+  assert.bool(retry.jitter, 'retry.jitter');
+
+  // unique owner ID for any provisioning lease acquired by this call
+  const owner = `urn:uuid:${randomUUID()}`;
+
   // loop trying to get or create the service agent
+  let attempt = 1;
   while(true) {
+    _throwIfAborted({signal});
+
+    let error;
     try {
-      // try to get service agent
-      const record = await serviceAgents.get({serviceType});
-      if(record) {
-        return record.serviceAgent;
+      if(provisioned) {
+        return await _getOrInsertProvisioned({serviceType, provisioned});
       }
+      return await _getOrCreateServiceAgent(
+        {serviceType, didMethod, didOptions, owner, lease: cfg.lease});
     } catch(e) {
-      if(e.name !== 'NotFoundError') {
+      if(!(e.name === 'InvalidStateError' || e.name === 'DuplicateError')) {
         // some non-recoverable failure, bail
         throw e;
       }
+      error = e;
+    }
+
+    if(attempt >= retry.maxAttempts) {
+      throw new BedrockError(
+        'Could not initialize service agent; maximum attempts exceeded.',
+        'OperationError', {
+          serviceType,
+          attempts: attempt,
+          public: true,
+          httpStatusCode: 503
+        }, error);
     }
 
-    let serviceAgent;
+    // wait before retrying to avoid overloading storage and WebKMS
+    const delay = getRetryDelay({attempt, retry});
+    onRetry?.({attempt, delay, error});
     try {
-      // service agent not found, try to create it
-      serviceAgent = await serviceAgents.generate({serviceType});
+      await setTimeout(delay, undefined, {signal});
     } catch(e) {
-      if(e.name !== 'InvalidStateError') {
-        // some non-recoverable failure, bail
-        throw e;
-      }
-      if(signal.aborted) {
-        throw new BedrockError(
-          'Timed out generating service agent.',
-          'TimeoutError', {
-            public: true,
-            httpStatusCode: 503
-          }, e);
-      }
-      // invalid state error, retry
-      continue;
+      _throwIfAborted({signal, cause: error});
+      throw e;
     }
+    attempt++;
+  }
+}
+
+async function _getOrCreateServiceAgent({
+  serviceType, didMethod, didOptions, owner, lease
+}) {
+  let serviceAgent = await _getServiceAgent({serviceType});
+  if(serviceAgent) {
+    return serviceAgent;
+  }
+
+  // service agent not found, acquire lease to provision it
+  const name = `service-agent-provisioning:${serviceType}`;
+  const acquired = await leases.acquire({name, owner, ttl: lease.ttl});
+  if(!acquired) {
+    throw new BedrockError(
+      'Service agent is being provisioned by another process.',
+      'InvalidStateError', {
+        serviceType,
+        public: true,
+        httpStatusCode: 503
+      });
+  }
+
+  try {
+    // service agent may have been created before the lease was acquired
+    serviceAgent = await _getServiceAgent({serviceType});
+    if(serviceAgent) {
+      return serviceAgent;
+    }
+
+    // create service agent
+    serviceAgent = await serviceAgents.generate(
+      {serviceType, didMethod, didOptions});
 
     try {
       const record = await serviceAgents.insert({serviceAgent});
       return record.serviceAgent;
     } catch(e) {
-      if(e.name !== 'DuplicateError') {
-        // some non-recoverable failure, bail
-        throw e;
+      if(e.name === 'DuplicateError') {
+        // another process provisioned the service agent first (the lease
+        // must have expired), record the generated keystore so it can be
+        // reclaimed
+        const {keystore: keystoreId} = serviceAgent;
+        await orphanedKeystores.tryInsert({keystoreId, serviceType});
       }
+      throw e;
     }
+  } finally {
+    await leases.release({name, owner}).catch(error => logger.error(
+      `Could not release service agent provisioning lease "${name}".`,
+      {error}));
+  }
+}
 
-    // loop to try again...
+async function _getOrInsertProvisioned({serviceType, provisioned}) {
+  const serviceAgent = await _getServiceAgent({serviceType});
+  if(serviceAgent) {
+    return serviceAgent;
+  }
+
+  // no keystores are created for a provisioned service agent, so no lease is
+  // needed; concurrent inserts will result in a `DuplicateError` and a retry
+  const record = await serviceAgents.insert({
+    serviceAgent: await serviceAgents.fromProvisioned(
+      {serviceType, provisioned})
+  });
+  return record.serviceAgent;
+}
+
+async function _getServiceAgent({serviceType}) {
+  try {
+    const {serviceAgent} = await serviceAgents.get({serviceType});
+    return serviceAgent;
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
   }
 }
+
+function _throwIfAborted({signal, cause}) {
+  if(!signal.aborted) {
+    return;
+  }
+  if(signal.reason?.name === 'TimeoutError') {
+    throw new BedrockError(
+      'Timed out generating service agent.',
+      'TimeoutError', {
+        public: true,
+        httpStatusCode: 503
+      }, cause);
+  }
+  throw signal.reason;
+}
+
+/**
+ * @typedef RetryOptions
+ *
+ * @property {number} [maxAttempts] - The maximum number of attempts to make.
+ * @property {number} [minDelay] - The delay, in milliseconds, before the
+ *   first retry.
+ * @property {number} [maxDelay] - The maximum delay, in milliseconds,
+ *   between retries.
+ * @property {number} [factor] - The factor to multiply the delay by after
+ *   each retry.
+ * @property {boolean} [jitter] - `true` to randomize each delay to help
+ *   spread out retries from concurrent processes.
+ */
@@ -0,0 +1,91 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+
+const COLLECTION_NAME = 'service-agent-lease';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by lease name
+    collection: COLLECTION_NAME,
+    fields: {'lease.name': 1},
+    options: {unique: true}
+  }, {
+    // automatically remove expired leases
+    collection: COLLECTION_NAME,
+    fields: {'lease.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Tries to acquire a lease with the given name. A lease can only be held by
+ * one owner at a time; it can be acquired by another owner once it has
+ * expired or been released. The current owner may call this function again
+ * to extend the lease.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the lease.
+ * @param {string} options.owner - The ID of the owner acquiring the lease.
+ * @param {number} options.ttl - The time-to-live for the lease in ms.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the lease was acquired
+ *   and `false` if it is held by another owner.
+ */
+export async function acquire({name, owner, ttl} = {}) {
+  assert.string(name, 'name');
+  assert.string(owner, 'owner');
+  assert.number(ttl, 'ttl');
+
+  const now = Date.now();
+  // note: a `Date` is required for the TTL index
+  const expires = new Date(now + ttl);
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    // expired leases may not have been removed by the TTL index yet, so
+    // they may be taken over here
+    await collection.updateOne({
+      'lease.name': name,
+      $or: [
+        {'lease.owner': owner},
+        {'lease.expires': {$lte: new Date(now)}}
+      ]
+    }, {
+      $set: {
+        'lease.owner': owner, 'lease.expires': expires, 'meta.updated': now
+      },
+      $setOnInsert: {'meta.created': now}
+    }, {upsert: true});
+    return true;
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // lease is held by another owner
+    return false;
+  }
+}
+
+/**
+ * Releases a lease if it is held by the given owner.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.name - The name of the lease.
+ * @param {string} options.owner - The ID of the owner releasing the lease.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the lease was released.
+ */
+export async function release({name, owner} = {}) {
+  assert.string(name, 'name');
+  assert.string(owner, 'owner');
+
+  const collection = database.collections[COLLECTION_NAME];
+  const result = await collection.deleteOne(
+    {'lease.name': name, 'lease.owner': owner});
+  return result.deletedCount === 1;
+}
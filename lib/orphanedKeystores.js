@@ -0,0 +1,321 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as serviceAgents from './serviceAgents.js';
+import assert from 'assert-plus';
+import {createCapabilityAgent} from './helpers.js';
+import {setTimeout as delay} from 'node:timers/promises';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {httpsAgent} from '@bedrock/https-agent';
+import {KmsClient} from '@digitalbazaar/webkms-client';
+import {logger} from './logger.js';
+
+// load config defaults
+import './config.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'service-agent-orphanedKeystore';
+const FIVE_MINUTES = 1000 * 60 * 5;
+
+let SWEEPER_ABORT_CONTROLLER;
+let SWEEPER_SHUTDOWN_PROMISE;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by keystore ID
+    collection: COLLECTION_NAME,
+    fields: {'orphanedKeystore.id': 1},
+    options: {unique: true}
+  }, {
+    // cover queries for records to sweep and reports
+    collection: COLLECTION_NAME,
+    fields: {'meta.state': 1, 'meta.updated': 1},
+    options: {unique: false}
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', () => {
+  const {orphanedKeystores: {sweep}} = bedrock.config['service-agent'];
+  if(sweep.enabled) {
+    // start the sweeper which runs continuously
+    SWEEPER_ABORT_CONTROLLER = new AbortController();
+    SWEEPER_SHUTDOWN_PROMISE = _startSweeper(
+      {signal: SWEEPER_ABORT_CONTROLLER.signal});
+  }
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  if(!SWEEPER_ABORT_CONTROLLER) {
+    return;
+  }
+  try {
+    // abort sweeper
+    SWEEPER_ABORT_CONTROLLER.abort();
+    await SWEEPER_SHUTDOWN_PROMISE;
+  } catch(error) {
+    logger.error('Error during orphaned keystore sweeper shutdown.', {error});
+  }
+});
+
+/**
+ * Records a keystore that was created for a service agent but that is not
+ * used by it, e.g., because another process won the race to provision the
+ * service agent. Recorded keystores will be reclaimed by the sweeper.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the orphaned keystore.
+ * @param {string} options.serviceType - The service type the keystore was
+ *   created for.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function insert({keystoreId, serviceType} = {}) {
+  assert.string(keystoreId, 'keystoreId');
+  assert.string(serviceType, 'serviceType');
+
+  const now = Date.now();
+  const record = {
+    meta: {created: now, updated: now, state: 'pending', attempts: 0},
+    orphanedKeystore: {id: keystoreId, serviceType}
+  };
+  try {
+    const collection = database.collections[COLLECTION_NAME];
+    await collection.insertOne(record);
+    return record;
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError(
+      'Duplicate orphaned keystore record.',
+      'DuplicateError', {
+        public: true,
+        httpStatusCode: 409
+      }, e);
+  }
+}
+
+/**
+ * Records a keystore like `insert()` but logs any error instead of throwing
+ * it. This is used when a keystore is orphaned while handling another
+ * outcome (e.g., a failed or lost provisioning race) that failing to record
+ * the keystore must not mask.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the orphaned keystore.
+ * @param {string} options.serviceType - The service type the keystore was
+ *   created for.
+ *
+ * @returns {Promise<undefined>} Resolves once the keystore is recorded or the
+ *   error is logged.
+ */
+export async function tryInsert({keystoreId, serviceType} = {}) {
+  try {
+    await insert({keystoreId, serviceType});
+  } catch(error) {
+    logger.error(
+      `Could not record orphaned keystore "${keystoreId}".`, {error});
+  }
+}
+
+/**
+ * Reclaims any recorded orphaned keystores. Each orphaned keystore is
+ * deactivated by transferring control of it to an ephemeral agent that is
+ * immediately discarded, ensuring its keys can never be used again. A
+ * keystore that is found to be in use by a service agent is skipped. A
+ * keystore for a service type that has no service agent yet (e.g., while
+ * it is still being provisioned) is deferred and checked again after
+ * `orphanedKeystores.sweep.interval`.
+ *
+ * @param {object} options - The options to use.
+ * @param {AbortSignal} [options.signal] - An optional signal to abort the
+ *   sweep.
+ *
+ * @returns {Promise<object>} Resolves to `{reclaimed, failed, skipped,
+ *   deferred}` counts for the sweep.
+ */
+export async function sweep({signal} = {}) {
+  const result = {reclaimed: 0, failed: 0, skipped: 0, deferred: 0};
+  while(true) {
+    signal?.throwIfAborted();
+    const record = await _claimRecord();
+    if(!record) {
+      return result;
+    }
+    const state = await _reclaim({record});
+    result[state]++;
+  }
+}
+
+/**
+ * Gets a report of recorded orphaned keystores.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.state] - An optional state to filter by:
+ *   `pending`, `reclaiming`, `reclaimed`, `failed`, or `skipped`.
+ * @param {number} [options.limit=100] - The maximum number of records.
+ *
+ * @returns {Promise<Array>} Resolves to an array of report entries with
+ *   `{keystoreId, serviceType, state, attempts, created, updated, error}`,
+ *   most recently updated first.
+ */
+export async function getReport({state, limit = 100} = {}) {
+  assert.optionalString(state, 'state');
+  assert.number(limit, 'limit');
+
+  const query = {};
+  if(state !== undefined) {
+    query['meta.state'] = state;
+  }
+  const collection = database.collections[COLLECTION_NAME];
+  const records = await collection.find(query, {
+    projection: {_id: 0, meta: 1, orphanedKeystore: 1},
+    sort: {'meta.updated': -1},
+    limit
+  }).toArray();
+  return records.map(({meta, orphanedKeystore}) => ({
+    keystoreId: orphanedKeystore.id,
+    serviceType: orphanedKeystore.serviceType,
+    state: meta.state,
+    attempts: meta.attempts,
+    created: meta.created,
+    updated: meta.updated,
+    error: meta.error
+  }));
+}
+
+async function _claimRecord() {
+  // claim a pending record or a record that was being reclaimed by a process
+  // that appears to have stopped before finishing
+  const now = Date.now();
+  const {orphanedKeystores: {sweep}} = bedrock.config['service-agent'];
+  const collection = database.collections[COLLECTION_NAME];
+  return collection.findOneAndUpdate({
+    $or: [
+      // pending records may be deferred until `after`
+      {'meta.state': 'pending', 'meta.after': {$not: {$gt: now}}},
+      {'meta.state': 'reclaiming', 'meta.updated': {$lt: now - FIVE_MINUTES}},
+      {
+        'meta.state': 'failed',
+        'meta.attempts': {$lt: sweep.maxAttempts},
+        'meta.updated': {$lt: now - sweep.interval}
+      }
+    ]
+  }, {
+    $set: {'meta.state': 'reclaiming', 'meta.updated': now},
+    $inc: {'meta.attempts': 1}
+  }, {
+    projection: {_id: 0, meta: 1, orphanedKeystore: 1},
+    returnDocument: 'after'
+  });
+}
+
+async function _reclaim({record}) {
+  const {id: keystoreId, serviceType} = record.orphanedKeystore;
+  let state;
+  let error;
+  try {
+    const inUse = await _isInUse({keystoreId, serviceType});
+    if(inUse === undefined) {
+      return _defer({record});
+    }
+    if(inUse) {
+      state = 'skipped';
+    } else {
+      await _deactivateKeystore({keystoreId});
+      state = 'reclaimed';
+    }
+  } catch(e) {
+    logger.error(
+      `Could not reclaim orphaned keystore "${keystoreId}".`, {error: e});
+    state = 'failed';
+    error = {name: e.name, message: e.message};
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  const $set = {'meta.state': state, 'meta.updated': Date.now()};
+  if(error) {
+    $set['meta.error'] = error;
+  }
+  await collection.updateOne({'orphanedKeystore.id': keystoreId}, {$set});
+  return state;
+}
+
+async function _defer({record}) {
+  // return the record to `pending` until after the next sweep interval; the
+  // deferral does not count as an attempt
+  const {orphanedKeystores: {sweep}} = bedrock.config['service-agent'];
+  const now = Date.now();
+  const {id: keystoreId} = record.orphanedKeystore;
+  const collection = database.collections[COLLECTION_NAME];
+  await collection.updateOne({'orphanedKeystore.id': keystoreId}, {
+    $set: {
+      'meta.state': 'pending',
+      'meta.updated': now,
+      'meta.after': now + sweep.interval
+    },
+    $inc: {'meta.attempts': -1}
+  });
+  return 'deferred';
+}
+
+async function _isInUse({keystoreId, serviceType}) {
+  // bypass cache to ensure a recent rotation is seen
+  const [record] = await serviceAgents.find({
+    query: {'serviceAgent.serviceType': serviceType},
+    options: {projection: {_id: 0, serviceAgent: 1}}
+  });
+  if(!record) {
+    // no service agent for the service type (yet); whether the keystore is
+    // in use cannot be known until one is provisioned
+    return;
+  }
+  const {serviceAgent} = record;
+  return serviceAgent.keystore === keystoreId ||
+    !!serviceAgent.retiredIdentities?.some(r => r.keystore === keystoreId);
+}
+
+async function _deactivateKeystore({keystoreId}) {
+  const {keys: {capabilityInvocationKey}} = getAppIdentity();
+  const invocationSigner = capabilityInvocationKey.signer();
+  const kmsClient = new KmsClient({keystoreId, httpsAgent});
+  const config = await kmsClient.getKeystore({invocationSigner});
+
+  // transfer control to an ephemeral agent that is never stored
+  const {capabilityAgent} = await createCapabilityAgent();
+  await kmsClient.updateKeystore({
+    config: {
+      ...config,
+      controller: capabilityAgent.id,
+      sequence: config.sequence + 1
+    },
+    invocationSigner
+  });
+}
+
+async function _startSweeper({signal}) {
+  const {orphanedKeystores: {sweep: {interval}}} =
+    bedrock.config['service-agent'];
+  while(!signal.aborted) {
+    try {
+      const {reclaimed, failed} = await sweep({signal});
+      if(reclaimed > 0 || failed > 0) {
+        logger.info(
+          `Orphaned keystore sweep reclaimed ${reclaimed} keystore(s); ` +
+          `${failed} failed.`);
+      }
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during orphaned keystore sweep.', {error});
+    }
+    // wait for next sweep; an abort will end the loop
+    await delay(interval, undefined, {signal}).catch(() => {});
+  }
+}
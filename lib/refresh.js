@@ -47,7 +47,9 @@ export async function refreshZcaps({serviceType, config, signal} = {}) {
 
   // get refresh policy
   let policy;
-  const zcapClient = await _getZcapClient({serviceType});
+  const {serviceAgent} = await serviceAgents.get({serviceType});
+  const zcapClient = await _getZcapClient(
+    {serviceAgent, controller: refreshZcap.controller});
   try {
     const {data} = await zcapClient.read({
       url: `${refreshZcap.invocationTarget}/policy`,
@@ -113,15 +115,21 @@ export async function refreshZcaps({serviceType, config, signal} = {}) {
   const results = await Promise.all([...zcaps].map(
     ([key, capability]) => queue.add(async () => {
       let refreshTime = _getRefreshTime({policy, capability});
+      // zcaps delegated to a retired service agent identity are refreshed
+      // early so they are delegated to the current identity before the
+      // retired identity is pruned
+      const retired = !!serviceAgent.retiredIdentities?.some(
+        ({id}) => id === capability.controller);
       let result;
-      if(now < refreshTime) {
+      if(now < refreshTime && !retired) {
         // do not refresh, too early; do not return though, to allow for
         // `refreshTime` to modify `after`
         result = {capability, refreshed: false, referenceId: key};
       } else {
         // refresh
         result = await _refreshCapability({
-          zcapClient, refreshZcap, capability, config
+          zcapClient, refreshZcap, capability, config,
+          controller: serviceAgent.id
         });
         result.referenceId = key;
         if(result.refreshed) {
@@ -148,10 +156,11 @@ export async function refreshZcaps({serviceType, config, signal} = {}) {
   return {config, refresh: {enabled: true, after}, results};
 }
 
-async function _getZcapClient({serviceType}) {
-  const {serviceAgent} = await serviceAgents.get({serviceType});
+async function _getZcapClient({serviceAgent, controller}) {
+  // use signer for the identity the refresh zcap was delegated to, which may
+  // be a retired service agent identity
   const invocationSigner = await serviceAgents.getInvocationSigner({
-    serviceAgent
+    serviceAgent, controller
   });
   return new ZcapClient({
     agent,
@@ -177,14 +186,16 @@ function _getRefreshTime({policy, capability}) {
 }
 
 async function _refreshCapability({
-  zcapClient, refreshZcap, capability, config
+  zcapClient, refreshZcap, capability, config, controller
 }) {
   let err;
   let newZcap;
   try {
+    // request that the new zcap be delegated to the current service agent
+    // identity, which differs from the zcap's controller after a rotation
     ({data: newZcap} = await zcapClient.write({
       capability: refreshZcap,
-      json: capability
+      json: {...capability, controller}
     }));
     // validate new zcap; do not replace old one if new zcap is invalid
     if(!_validateDelegatedZcap) {
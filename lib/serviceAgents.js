@@ -1,8 +1,10 @@
 /*!
- * Copyright (c) 2022-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as database from '@bedrock/mongodb';
+import * as orphanedKeystores from './orphanedKeystores.js';
+import * as veresOne from './veresOne.js';
 import {
   AsymmetricKey, CapabilityAgent, Hmac, KeystoreAgent, KmsClient
 } from '@digitalbazaar/webkms-client';
@@ -20,15 +22,32 @@ const ONE_MINUTE = 1000 * 60;
 const FIVE_MINUTES = ONE_MINUTE * 5;
 const TEN_MINUTES = FIVE_MINUTES * 2;
 
+// supported DID methods for service agent identities
+const DID_METHODS = new Map([
+  ['key', {
+    getPublicAliasTemplate() {
+      return 'did:key:{publicKeyMultibase}#{publicKeyMultibase}';
+    }
+  }],
+  // `did:v1` cryptonym DIDs are registered on the Veres One ledger
+  ['v1', {
+    getPublicAliasTemplate: veresOne.getPublicAliasTemplate,
+    getId: veresOne.register
+  }]
+]);
+
 let EPHEMERAL_AGENT_CACHE_TTL = FIVE_MINUTES;
 let EPHEMERAL_AGENT_CACHE;
 let SERVICE_AGENT_CACHE;
+let VERIFICATION_METHOD_CACHE;
 
 bedrock.events.on('bedrock.init', async () => {
   const cfg = bedrock.config['service-agent'];
 
   const cacheConfig = coerceCacheConfig(cfg.caches.serviceAgent);
   SERVICE_AGENT_CACHE = new LruCache(cacheConfig);
+  VERIFICATION_METHOD_CACHE = new LruCache(
+    coerceCacheConfig(cfg.caches.verificationMethod));
   _createEphemeralAgentCache();
 });
 
@@ -54,65 +73,137 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  * @param {object} options - The options to use.
  * @param {object} options.serviceType - The service type to generate the
  *   service agent for.
+ * @param {string} [options.didMethod] - The DID method to use for the
+ *   service agent's identity; defaults to the configured `didMethod`.
+ * @param {object} [options.didOptions] - The DID method options to use;
+ *   defaults to the configured `didOptions`.
  *
  * @returns {Promise<object>} Resolves to the service agent information.
  */
-export async function generate({serviceType} = {}) {
-  // app identity is the controller of the service agent
-  const {id, keys: {capabilityInvocationKey}} = getAppIdentity();
-  const appIdentitySigner = capabilityInvocationKey.signer();
+export async function generate({serviceType, didMethod, didOptions} = {}) {
+  ({didMethod, didOptions} = _getDidMethodOptions({didMethod, didOptions}));
 
-  // create IP-restricted keystore; only the local application will be able
-  // to access keys in this keystore
-  const {kms: kmsCfg} = bedrock.config['service-agent'];
-  const config = {
-    controller: id,
-    ipAllowList: kmsCfg.ipAllowList,
-    kmsModule: kmsCfg.kmsModule,
-    meterId: kmsCfg.meterId,
-    sequence: 0
+  // create IP-restricted keystore and generate service agent keys in it
+  const {id: keystoreId} = await _createKeystore();
+  let keys;
+  try {
+    keys = await _generateKeys({keystoreId, didMethod, didOptions});
+  } catch(e) {
+    // record the unused keystore so it can be reclaimed
+    await orphanedKeystores.tryInsert({keystoreId, serviceType});
+    throw e;
+  }
+  const {id, zcapInvocationKey, hmac} = keys;
+
+  // build service agent info
+  return {
+    id,
+    keystore: keystoreId,
+    serviceType,
+    sequence: 0,
+    didMethod,
+    didOptions,
+    zcapInvocationKey,
+    hmac
   };
-  const keystore = await KmsClient.createKeystore({
-    url: `${kmsCfg.baseUrl}/keystores`,
-    config,
-    invocationSigner: appIdentitySigner,
-    httpsAgent
-  });
+}
 
-  // create keystore agent for the service agent
-  const {id: keystoreId} = keystore;
-  const kmsClient = new KmsClient({keystoreId, httpsAgent});
-  const capabilityAgent = new CapabilityAgent({signer: appIdentitySigner});
-  const keystoreAgent = new KeystoreAgent(
-    {keystoreId, capabilityAgent, kmsClient});
+/**
+ * Builds service agent information from a service agent that was provisioned
+ * outside of this module (e.g., by an operator). The keystore and keys are
+ * validated against the KMS: the keystore must be controlled by the app
+ * identity and the keys must exist in the keystore with the expected IDs and
+ * types. The returned service agent information may be passed to `insert()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type of the service
+ *   agent.
+ * @param {object} options.provisioned - The provisioned service agent with
+ *   `keystore`, `zcapInvocationKey` (`{id, kmsId, type}`), `hmac`
+ *   (`{id, type}`) and optional `didMethod` and `didOptions`.
+ *
+ * @returns {Promise<object>} Resolves to the service agent information.
+ */
+export async function fromProvisioned({serviceType, provisioned} = {}) {
+  assert.string(serviceType, 'serviceType');
+  assert.object(provisioned, 'provisioned');
+  const {keystore: keystoreId, zcapInvocationKey, hmac} = provisioned;
+  assert.string(keystoreId, 'provisioned.keystore');
+  assert.object(zcapInvocationKey, 'provisioned.zcapInvocationKey');
+  assert.string(zcapInvocationKey.id, 'provisioned.zcapInvocationKey.id');
+  assert.string(
+    zcapInvocationKey.kmsId, 'provisioned.zcapInvocationKey.kmsId');
+  assert.string(zcapInvocationKey.type, 'provisioned.zcapInvocationKey.type');
+  assert.object(hmac, 'provisioned.hmac');
+  assert.string(hmac.id, 'provisioned.hmac.id');
+  assert.string(hmac.type, 'provisioned.hmac.type');
+  assert.optionalString(provisioned.didMethod, 'provisioned.didMethod');
+  assert.optionalObject(provisioned.didOptions, 'provisioned.didOptions');
 
-  // create a zcap invocation key and an hmac key for the service agent to
-  // enable the agent to invoke zcaps, symmetrically sign service-related data,
-  // and receive encrypted messages
+  // service agent ID is the zcap invocation key ID without its fragment
+  const index = zcapInvocationKey.id.indexOf('#');
+  if(index === -1) {
+    throw _provisionedError(
+      'Provisioned service agent zcap invocation key ID must include a ' +
+      `fragment: "${zcapInvocationKey.id}".`, {serviceType});
+  }
+  const id = zcapInvocationKey.id.slice(0, index);
+  const didMethod = provisioned.didMethod ?? id.split(':')[1];
+  const didOptions = provisioned.didOptions ?? {};
+  if(!DID_METHODS.has(didMethod)) {
+    throw _provisionedError(
+      `Provisioned service agent DID method "${didMethod}" is not ` +
+      'supported.', {serviceType});
+  }
+  if(!id.startsWith(`did:${didMethod}:`)) {
+    throw _provisionedError(
+      `Provisioned service agent ID "${id}" does not match DID method ` +
+      `"${didMethod}".`, {serviceType});
+  }
 
-  // note: consider supporting other did methods (e.g., did:v1) in the future
-  const publicAliasTemplate = _getPublicAliasTemplate({didMethod: 'key'});
-  const [zcapKey, hmac] = await Promise.all([
-    keystoreAgent.generateKey({
-      type: 'asymmetric',
-      publicAliasTemplate
+  // ensure keystore is controlled by the app identity
+  const {id: appIdentityId, keys: {capabilityInvocationKey}} =
+    getAppIdentity();
+  const invocationSigner = capabilityInvocationKey.signer();
+  const kmsClient = new KmsClient({keystoreId, httpsAgent});
+  let keystoreConfig;
+  try {
+    keystoreConfig = await kmsClient.getKeystore({invocationSigner});
+  } catch(e) {
+    throw _provisionedError(
+      `Provisioned service agent keystore "${keystoreId}" could not be ` +
+      'retrieved.', {serviceType}, e);
+  }
+  if(keystoreConfig.controller !== appIdentityId) {
+    throw _provisionedError(
+      `Provisioned service agent keystore "${keystoreId}" controller ` +
+      `"${keystoreConfig.controller}" does not match the application ` +
+      `identity "${appIdentityId}".`, {serviceType});
+  }
+
+  // ensure keys exist in the keystore with the expected IDs and types
+  await Promise.all([
+    _assertProvisionedKey({
+      kmsClient, invocationSigner, keystoreId, serviceType,
+      name: 'zcapInvocationKey', key: zcapInvocationKey
     }),
-    keystoreAgent.generateKey({type: 'hmac'})
+    _assertProvisionedKey({
+      kmsClient, invocationSigner, keystoreId, serviceType,
+      name: 'hmac', key: {...hmac, kmsId: hmac.id}
+    })
   ]);
 
-  // get service agent ID from zcap key
-  const serviceAgentId = zcapKey.id.slice(0, zcapKey.id.indexOf('#'));
-
-  // build service agent info
   return {
-    id: serviceAgentId,
+    id,
     keystore: keystoreId,
     serviceType,
     sequence: 0,
+    didMethod,
+    didOptions,
     zcapInvocationKey: {
-      id: zcapKey.id,
-      kmsId: zcapKey.kmsId,
-      type: zcapKey.type
+      id: zcapInvocationKey.id,
+      kmsId: zcapInvocationKey.kmsId,
+      type: zcapInvocationKey.type
     },
     hmac: {
       id: hmac.id,
@@ -121,6 +212,141 @@ export async function generate({serviceType} = {}) {
   };
 }
 
+/**
+ * Registers a DID method that can be used for service agent identities. The
+ * `key` and `v1` DID methods are registered by default; `v1` takes
+ * `didOptions` of `{mode, hostname}` where `mode` is `live` (default) or
+ * `test`. A registered DID method must
+ * produce DIDs that resolve without further registration or the DIDs must be
+ * registered by `getId`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.method - The DID method name (e.g., `key`).
+ * @param {Function} options.getPublicAliasTemplate - A function that takes
+ *   `({didOptions})` and returns the public alias template to use when
+ *   generating the service agent's zcap invocation key in WebKMS.
+ * @param {Function} [options.getId] - A function that takes
+ *   `({zcapKey, didOptions})` and returns the service agent ID; defaults to
+ *   the zcap invocation key ID without its fragment.
+ */
+export function registerDidMethod({
+  method, getPublicAliasTemplate, getId
+} = {}) {
+  assert.string(method, 'method');
+  assert.func(getPublicAliasTemplate, 'getPublicAliasTemplate');
+  assert.optionalFunc(getId, 'getId');
+  DID_METHODS.set(method, {getPublicAliasTemplate, getId});
+}
+
+/**
+ * Rotates the service agent for the given service type. A new zcap
+ * invocation key and HMAC key will be generated (optionally in a new
+ * keystore) and the service agent record will be updated to use them.
+ *
+ * The previous identity of the service agent is kept in its
+ * `retiredIdentities` so that zcaps that were delegated to it can continue
+ * to be used until they are refreshed and delegated to the new identity.
+ * Retired identities are pruned according to the `rotate.retiredIdentities`
+ * config. Keystores that are no longer used as a result of pruning or of a
+ * failed rotation are recorded as orphaned so they can be reclaimed.
+ *
+ * Any service agent, ephemeral agent, and document store caches in this
+ * process will be cleared once the rotation completes. Other processes
+ * will pick up the rotated service agent once their caches expire.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type of the service
+ *   agent to rotate.
+ * @param {boolean} [options.newKeystore=false] - `true` to generate the new
+ *   keys in a new keystore, `false` to use the existing keystore.
+ * @param {string} [options.didMethod] - The DID method to use for the new
+ *   identity; defaults to the DID method already in use.
+ * @param {object} [options.didOptions] - The DID method options to use.
+ *
+ * @returns {Promise<object>} Resolves to the rotated service agent
+ *   information.
+ */
+export async function rotate({
+  serviceType, newKeystore = false, didMethod, didOptions
+} = {}) {
+  assert.string(serviceType, 'serviceType');
+  assert.bool(newKeystore, 'newKeystore');
+
+  // bypass cache to ensure the latest sequence is used
+  const {serviceAgent: previous} = await _getUncachedRecord({serviceType});
+
+  // default to the DID method already in use; service agents created prior
+  // to DID method support always use `did:key`
+  if(didMethod === undefined) {
+    didMethod = previous.didMethod ?? 'key';
+    didOptions = didOptions ?? previous.didOptions;
+  }
+  ({didMethod, didOptions} = _getDidMethodOptions({didMethod, didOptions}));
+
+  let keystoreId = previous.keystore;
+  if(newKeystore) {
+    ({id: keystoreId} = await _createKeystore());
+  }
+  let serviceAgent;
+  try {
+    const {id, zcapInvocationKey, hmac} = await _generateKeys(
+      {keystoreId, didMethod, didOptions});
+
+    // retire previous identity, most recently retired first, and prune any
+    // retired identities beyond the configured retention
+    const now = Date.now();
+    const retiredIdentity = {
+      id: previous.id,
+      keystore: previous.keystore,
+      zcapInvocationKey: previous.zcapInvocationKey,
+      hmac: previous.hmac,
+      retired: now
+    };
+    const {rotate: {retiredIdentities: {maxCount, ttl}}} =
+      bedrock.config['service-agent'];
+    const retiredIdentities = [
+      retiredIdentity, ...previous.retiredIdentities ?? []
+    ].filter(({retired}) => retired > now - ttl).slice(0, maxCount);
+    serviceAgent = {
+      ...previous,
+      id,
+      keystore: keystoreId,
+      sequence: previous.sequence + 1,
+      didMethod,
+      didOptions,
+      zcapInvocationKey,
+      hmac,
+      retiredIdentities
+    };
+    await update({serviceAgent});
+  } catch(e) {
+    if(newKeystore) {
+      // record the unused new keystore so it can be reclaimed
+      await orphanedKeystores.tryInsert({keystoreId, serviceType});
+    }
+    throw e;
+  }
+
+  // record keystores only used by pruned retired identities so they can be
+  // reclaimed
+  const retained = new Set([
+    keystoreId, ...serviceAgent.retiredIdentities.map(r => r.keystore)
+  ]);
+  const pruned = new Set([previous, ...previous.retiredIdentities ?? []]
+    .map(r => r.keystore).filter(k => !retained.has(k)));
+  await Promise.all([...pruned].map(
+    keystore => orphanedKeystores.tryInsert(
+      {keystoreId: keystore, serviceType})));
+
+  // clear any cached state for the previous service agent
+  SERVICE_AGENT_CACHE.delete(previous.id);
+  _createEphemeralAgentCache();
+  await bedrock.events.emit(
+    'bedrock-service-agent.serviceAgent.rotated', {previous, serviceAgent});
+
+  return serviceAgent;
+}
+
 /**
  * Gets an ephemeral agent that has been delegated all of the zcaps in
  * the given config. This agent can more efficiently sign capability
@@ -166,26 +392,35 @@ export async function getEphemeralAgent({config, serviceAgent} = {}) {
 }
 
 /**
- * Gets the zcap invocation signer for the given `serviceAgent`.
+ * Gets the zcap invocation signer for the given `serviceAgent`. If a
+ * `controller` is given that matches a retired identity of the service agent,
+ * then the signer for that retired identity will be returned instead; this
+ * enables zcaps that were delegated to the service agent prior to a rotation
+ * to continue to be used. If the `controller` does not match any identity
+ * (e.g., its retired identity has been pruned), a `NotFoundError` is thrown
+ * and the zcap must be refreshed or delegated to the current identity.
  *
  * @param {object} options - The options to use.
  * @param {object} options.serviceAgent - The service agent.
+ * @param {string} [options.controller] - The ID of the controller of the
+ *   zcap that will be invoked or delegated using the signer.
  *
  * @returns {Promise<object>} Resolves to the service agent's zcap invocation
  *   signer.
  */
-export async function getInvocationSigner({serviceAgent} = {}) {
+export async function getInvocationSigner({serviceAgent, controller} = {}) {
   // get invocation signer for using the service agent's zcap key
   // note: this is NOT the invocation signer to be returned, it will be used
   // to invoke a zcap invocation key -- which is the signer that is returned
   const {keys: {capabilityInvocationKey}} = getAppIdentity();
   const zcapKeyInvocationSigner = capabilityInvocationKey.signer();
 
-  // get the zcap invocation key for the service agent
-  const {keystore: keystoreId} = serviceAgent;
+  // get the zcap invocation key for the matching service agent identity
+  const identity = _getIdentity({serviceAgent, id: controller});
+  const {keystore: keystoreId} = identity;
   const kmsClient = new KmsClient({keystoreId, httpsAgent});
   const key = new AsymmetricKey({
-    ...serviceAgent.zcapInvocationKey,
+    ...identity.zcapInvocationKey,
     invocationSigner: zcapKeyInvocationSigner,
     kmsClient
   });
@@ -216,6 +451,24 @@ export async function getHmac({serviceAgent} = {}) {
   return key;
 }
 
+/**
+ * Gets the verification method for the given `serviceAgent`'s current zcap
+ * invocation key, including its public key. This can be shared with clients
+ * so they can delegate zcaps to the service agent without resolving its DID.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.serviceAgent - The service agent.
+ *
+ * @returns {Promise<object>} Resolves to the verification method.
+ */
+export async function getVerificationMethod({serviceAgent} = {}) {
+  // a key's public key material never changes, so it can be cached by key ID
+  const key = JSON.stringify(
+    [serviceAgent.id, serviceAgent.zcapInvocationKey.id]);
+  const fn = () => _getUncachedVerificationMethod({serviceAgent});
+  return VERIFICATION_METHOD_CACHE.memoize({key, fn});
+}
+
 /**
  * Inserts a new service agent record into storage.
  *
@@ -284,6 +537,65 @@ export async function find({query = {}, options = {}, explain = false} = {}) {
   return cursor.toArray();
 }
 
+/**
+ * Lists service agents, ordered by service type. Results are paginated; if
+ * there are more service agents than `limit`, a `cursor` is returned that
+ * can be passed to get the next page.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.limit=100] - The maximum number of service agents
+ *   to return (1-1000).
+ * @param {string} [options.cursor] - An opaque cursor from a previous call.
+ *
+ * @returns {Promise<object>} Resolves to `{serviceAgents, cursor}` where each
+ *   service agent is described by `{id, serviceType, keystore, sequence,
+ *   created, updated}` and `cursor` is only present if there are more
+ *   service agents.
+ */
+export async function list({limit = 100, cursor} = {}) {
+  assert.number(limit, 'limit');
+  assert.optionalString(cursor, 'cursor');
+  if(!(Number.isInteger(limit) && limit >= 1 && limit <= 1000)) {
+    throw new BedrockError(
+      '"limit" must be an integer from 1 to 1000.',
+      'DataError', {httpStatusCode: 400, public: true});
+  }
+
+  const query = {};
+  if(cursor !== undefined) {
+    query['serviceAgent.serviceType'] = {$gt: _decodeCursor({cursor})};
+  }
+  // get one extra record to determine if there is another page
+  const records = await find({
+    query,
+    options: {
+      projection: {_id: 0, serviceAgent: 1, meta: 1},
+      sort: {'serviceAgent.serviceType': 1},
+      limit: limit + 1
+    }
+  });
+  const hasMore = records.length > limit;
+  if(hasMore) {
+    records.length = limit;
+  }
+  const result = {
+    serviceAgents: records.map(({serviceAgent, meta}) => ({
+      id: serviceAgent.id,
+      serviceType: serviceAgent.serviceType,
+      keystore: serviceAgent.keystore,
+      sequence: serviceAgent.sequence,
+      created: meta.created,
+      updated: meta.updated
+    }))
+  };
+  if(hasMore) {
+    const {serviceType} = result.serviceAgents.at(-1);
+    result.cursor = Buffer.from(JSON.stringify({serviceType}))
+      .toString('base64url');
+  }
+  return result;
+}
+
 /**
  * Updates a service agent record if its sequence number is next.
  *
@@ -299,8 +611,9 @@ export async function update({serviceAgent, explain = false} = {}) {
 
   const now = Date.now();
   const collection = database.collections[COLLECTION_NAME];
+  // query by service type, not ID, as the ID changes on rotation
   const query = {
-    'serviceAgent.id': serviceAgent.id,
+    'serviceAgent.serviceType': serviceAgent.serviceType,
     'serviceAgent.sequence': serviceAgent.sequence - 1
   };
 
@@ -359,6 +672,71 @@ export async function get({id, serviceType, explain = false} = {}) {
   return SERVICE_AGENT_CACHE.memoize({key: id || serviceType, fn});
 }
 
+/**
+ * Verifies that the service agent for the given service type is usable
+ * end-to-end. Its keystore config is fetched and checked against the
+ * application identity and configured `ipAllowList` and test data is signed
+ * using its zcap invocation key and its HMAC key.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type of the service
+ *   agent to verify.
+ *
+ * @returns {Promise<object>} Resolves to `{verified, serviceAgent, checks}`
+ *   where `checks` has a `{verified, error}` entry for each of `keystore`,
+ *   `zcapInvocationKey`, and `hmac`.
+ */
+export async function verify({serviceType} = {}) {
+  assert.string(serviceType, 'serviceType');
+
+  const {serviceAgent} = await get({serviceType});
+  const data = new TextEncoder().encode(
+    `${serviceAgent.id}:verify:${Date.now()}`);
+
+  const checks = {};
+  await Promise.all([
+    _check({checks, name: 'keystore', fn: async () => {
+      const {id: appIdentityId, keys: {capabilityInvocationKey}} =
+        getAppIdentity();
+      const invocationSigner = capabilityInvocationKey.signer();
+      const kmsClient = new KmsClient(
+        {keystoreId: serviceAgent.keystore, httpsAgent});
+      const config = await kmsClient.getKeystore({invocationSigner});
+      if(config.controller !== appIdentityId) {
+        throw new Error(
+          `Keystore controller "${config.controller}" does not match ` +
+          `application identity "${appIdentityId}".`);
+      }
+      const {kms: {ipAllowList}} = bedrock.config['service-agent'];
+      const expected = [...ipAllowList].sort();
+      const actual = [...config.ipAllowList ?? []].sort();
+      if(expected.join() !== actual.join()) {
+        throw new Error(
+          'Keystore "ipAllowList" does not match configured "ipAllowList".');
+      }
+    }}),
+    _check({checks, name: 'zcapInvocationKey', fn: async () => {
+      // sign test data as would be done for a capability invocation
+      const signer = await getInvocationSigner({serviceAgent});
+      await signer.sign({data});
+    }}),
+    _check({checks, name: 'hmac', fn: async () => {
+      const hmac = await getHmac({serviceAgent});
+      await hmac.sign({data});
+    }})
+  ]);
+
+  return {
+    verified: Object.values(checks).every(c => c.verified),
+    serviceAgent: {
+      id: serviceAgent.id,
+      serviceType: serviceAgent.serviceType,
+      sequence: serviceAgent.sequence
+    },
+    checks
+  };
+}
+
 // exposed for testing purposes only
 export function _resetEphemeralAgentCache({
   ttl = EPHEMERAL_AGENT_CACHE_TTL
@@ -416,11 +794,8 @@ async function _getUncachedEphemeralAgent({config, serviceAgent, key} = {}) {
   // max expiration date for any delegated zcap
   const maxExpires = new Date(Date.now() + TEN_MINUTES);
 
-  // get zcap delegation signer and create new ephemeral capability agent
-  const [delegationSigner, {capabilityAgent}] = await Promise.all([
-    getInvocationSigner({serviceAgent}),
-    createCapabilityAgent()
-  ]);
+  // create new ephemeral capability agent
+  const {capabilityAgent} = await createCapabilityAgent();
 
   // delegate all zcaps in `config` to capability agent in parallel and
   // calculate the earliest expiration date for any of the zcaps (some zcaps
@@ -429,6 +804,10 @@ async function _getUncachedEphemeralAgent({config, serviceAgent, key} = {}) {
   const zcapEntries = [...Object.entries(config.zcaps)];
   const zcaps = {};
   await Promise.all(zcapEntries.map(async ([name, capability]) => {
+    // use the delegation signer that matches the zcap's controller, which
+    // may be a retired identity if the zcap has not been refreshed yet
+    const delegationSigner = await getInvocationSigner(
+      {serviceAgent, controller: capability.controller});
     const zcap = await delegate({
       capability, controller: capabilityAgent.id, delegationSigner, maxExpires
     });
@@ -509,22 +888,184 @@ async function _getUncachedRecord({id, serviceType, explain}) {
     throw new BedrockError(
       'Service agent record not found.',
       'NotFoundError',
-      {edv: id, httpStatusCode: 404, public: true});
+      {id, serviceType, httpStatusCode: 404, public: true});
   }
 
   return record;
 }
 
-function _getPublicAliasTemplate({didMethod = 'key', didOptions = {}}) {
-  if(didMethod === 'key') {
-    return 'did:key:{publicKeyMultibase}#{publicKeyMultibase}';
+async function _assertProvisionedKey({
+  kmsClient, invocationSigner, keystoreId, serviceType, name, key
+}) {
+  if(!key.kmsId.startsWith(`${keystoreId}/keys/`)) {
+    throw _provisionedError(
+      `Provisioned service agent "${name}" key "${key.kmsId}" is not in ` +
+      `keystore "${keystoreId}".`, {serviceType});
+  }
+  let keyDescription;
+  try {
+    keyDescription = await kmsClient.getKeyDescription(
+      {keyId: key.kmsId, invocationSigner, useCache: false});
+  } catch(e) {
+    throw _provisionedError(
+      `Provisioned service agent "${name}" key "${key.kmsId}" could not be ` +
+      'retrieved.', {serviceType}, e);
+  }
+  if(keyDescription.id !== key.id) {
+    throw _provisionedError(
+      `Provisioned service agent "${name}" key ID "${key.id}" does not ` +
+      `match KMS key ID "${keyDescription.id}".`, {serviceType});
+  }
+  if(keyDescription.type !== key.type) {
+    throw _provisionedError(
+      `Provisioned service agent "${name}" key type "${key.type}" does not ` +
+      `match KMS key type "${keyDescription.type}".`, {serviceType});
+  }
+}
+
+async function _check({checks, name, fn}) {
+  try {
+    await fn();
+    checks[name] = {verified: true};
+  } catch(e) {
+    checks[name] = {verified: false, error: {name: e.name, message: e.message}};
+  }
+}
+
+function _decodeCursor({cursor}) {
+  try {
+    const {serviceType} = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'));
+    if(typeof serviceType === 'string') {
+      return serviceType;
+    }
+  } catch(e) {
+    // fall through to throw invalid cursor error
+  }
+  throw new BedrockError(
+    'Invalid service agent list cursor.',
+    'DataError', {httpStatusCode: 400, public: true});
+}
+
+async function _createKeystore() {
+  // app identity is the controller of the keystore
+  const {id, keys: {capabilityInvocationKey}} = getAppIdentity();
+  const appIdentitySigner = capabilityInvocationKey.signer();
+
+  // create IP-restricted keystore; only the local application will be able
+  // to access keys in this keystore
+  const {kms: kmsCfg} = bedrock.config['service-agent'];
+  const config = {
+    controller: id,
+    ipAllowList: kmsCfg.ipAllowList,
+    kmsModule: kmsCfg.kmsModule,
+    meterId: kmsCfg.meterId,
+    sequence: 0
+  };
+  return KmsClient.createKeystore({
+    url: `${kmsCfg.baseUrl}/keystores`,
+    config,
+    invocationSigner: appIdentitySigner,
+    httpsAgent
+  });
+}
+
+async function _generateKeys({keystoreId, didMethod, didOptions}) {
+  const method = DID_METHODS.get(didMethod);
+
+  // create keystore agent for the service agent
+  const {keys: {capabilityInvocationKey}} = getAppIdentity();
+  const appIdentitySigner = capabilityInvocationKey.signer();
+  const kmsClient = new KmsClient({keystoreId, httpsAgent});
+  const capabilityAgent = new CapabilityAgent({signer: appIdentitySigner});
+  const keystoreAgent = new KeystoreAgent(
+    {keystoreId, capabilityAgent, kmsClient});
+
+  // create a zcap invocation key and an hmac key for the service agent to
+  // enable the agent to invoke zcaps, symmetrically sign service-related data,
+  // and receive encrypted messages
+  const publicAliasTemplate = method.getPublicAliasTemplate({didOptions});
+  const [zcapKey, hmac] = await Promise.all([
+    keystoreAgent.generateKey({
+      type: 'asymmetric',
+      publicAliasTemplate
+    }),
+    keystoreAgent.generateKey({type: 'hmac'})
+  ]);
+
+  // get service agent ID from zcap key
+  const id = method.getId ?
+    await method.getId({zcapKey, didOptions}) :
+    zcapKey.id.slice(0, zcapKey.id.indexOf('#'));
+
+  return {
+    id,
+    zcapInvocationKey: {
+      id: zcapKey.id,
+      kmsId: zcapKey.kmsId,
+      type: zcapKey.type
+    },
+    hmac: {
+      id: hmac.id,
+      type: hmac.type
+    }
+  };
+}
+
+async function _getUncachedVerificationMethod({serviceAgent}) {
+  const key = await getInvocationSigner({serviceAgent});
+  const {'@context': context, type, publicKeyMultibase} =
+    await key.getKeyDescription();
+  // the KMS key description's `controller` is the keystore controller, so
+  // use the service agent as the controller of the verification method
+  return {
+    '@context': context,
+    id: serviceAgent.zcapInvocationKey.id,
+    type,
+    controller: serviceAgent.id,
+    publicKeyMultibase
+  };
+}
+
+function _getIdentity({serviceAgent, id}) {
+  if(id === undefined || id === serviceAgent.id) {
+    return serviceAgent;
   }
-  if(didMethod === 'v1') {
-    const prefix = (didOptions.mode === 'test') ? 'did:v1:test:' : 'did:v1:';
-    return prefix + 'nym:{publicKeyMultibase}#{publicKeyMultibase}';
+  const retired = serviceAgent.retiredIdentities?.find(r => r.id === id);
+  if(!retired) {
+    throw new BedrockError(
+      `Service agent identity "${id}" not found; it may have been pruned ` +
+      'after a rotation.',
+      'NotFoundError', {
+        id, serviceAgent: serviceAgent.id,
+        httpStatusCode: 404, public: true
+      });
   }
+  return retired;
+}
+
+function _provisionedError(message, details, cause) {
+  return new BedrockError(message, 'DataError', {
+    ...details,
+    public: true,
+    httpStatusCode: 400
+  }, cause);
+}
 
-  throw new Error(`DID Method not supported: "${didMethod}".`);
+function _getDidMethodOptions({didMethod, didOptions}) {
+  // use configured defaults
+  const cfg = bedrock.config['service-agent'];
+  if(didMethod === undefined) {
+    didMethod = cfg.didMethod;
+    didOptions = didOptions ?? cfg.didOptions;
+  }
+  didOptions = didOptions ?? {};
+  assert.string(didMethod, 'didMethod');
+  assert.object(didOptions, 'didOptions');
+  if(!DID_METHODS.has(didMethod)) {
+    throw new Error(`DID Method not supported: "${didMethod}".`);
+  }
+  return {didMethod, didOptions};
 }
 
 // does not assert `sequence` as it is not required
@@ -546,6 +1087,10 @@ function _assertServiceAgent({serviceAgent}) {
     serviceAgent.zcapInvocationKey.type,
     'serviceAgent.zcapInvocationKey.type');
   assert.string(serviceAgent.serviceType, 'serviceAgent.serviceType');
+  assert.optionalString(serviceAgent.didMethod, 'serviceAgent.didMethod');
+  assert.optionalObject(serviceAgent.didOptions, 'serviceAgent.didOptions');
+  assert.optionalArrayOfObject(
+    serviceAgent.retiredIdentities, 'serviceAgent.retiredIdentities');
 }
 
 /**
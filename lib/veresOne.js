@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as didVeresOne from 'did-veres-one';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {httpsAgent} from '@bedrock/https-agent';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const MODES = ['live', 'test'];
+
+/**
+ * Gets the public alias template for a `did:v1` cryptonym service agent
+ * zcap invocation key.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.didOptions - The DID method options: `mode`
+ *   (`live` or `test`, defaults to `live`) and an optional ledger `hostname`.
+ *
+ * @returns {string} The public alias template.
+ */
+export function getPublicAliasTemplate({didOptions} = {}) {
+  const {mode} = _getOptions({didOptions});
+  const prefix = (mode === 'test') ? 'did:v1:test:' : 'did:v1:';
+  return prefix + 'nym:{publicKeyMultibase}#{publicKeyMultibase}';
+}
+
+/**
+ * Registers the `did:v1` cryptonym DID for a service agent's zcap
+ * invocation key on the Veres One ledger for the configured mode. The DID
+ * document uses the key for every verification relationship and the ledger
+ * operation is signed with the key via WebKMS.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.zcapKey - The service agent's zcap invocation key.
+ * @param {object} options.didOptions - The DID method options; see
+ *   `getPublicAliasTemplate()`.
+ *
+ * @returns {Promise<string>} Resolves to the registered DID.
+ */
+export async function register({zcapKey, didOptions} = {}) {
+  const {mode, hostname} = _getOptions({didOptions});
+  const driver = didVeresOne.driver({
+    mode, hostname, httpsAgent,
+    // the driver logs progress via `log()`
+    logger: {
+      log: (...args) => logger.debug(args.join(' ')),
+      debug: (...args) => logger.debug(args.join(' '))
+    }
+  });
+
+  // build the DID document from the public key of the KMS key
+  const {publicKeyMultibase} = await zcapKey.getKeyDescription();
+  const invokeKey = await Ed25519VerificationKey2020.from(
+    {publicKeyMultibase});
+  const {didDocument} = await driver.generate({invokeKey});
+  if(didDocument.capabilityInvocation[0] !== zcapKey.id) {
+    throw new BedrockError(
+      `Veres One DID key ID "${didDocument.capabilityInvocation[0]}" does ` +
+      `not match zcap invocation key ID "${zcapKey.id}".`, {
+        name: 'DataError',
+        details: {httpStatusCode: 500, public: true}
+      });
+  }
+
+  // the KMS key signs the ledger operation; the driver expects key pairs
+  // that provide a `signer()`
+  const keyPairs = new Map([[zcapKey.id, {
+    id: zcapKey.id,
+    signer: () => zcapKey
+  }]]);
+  await driver.register({didDocument, keyPairs});
+  return didDocument.id;
+}
+
+function _getOptions({didOptions = {}}) {
+  const {mode = 'live', hostname} = didOptions;
+  if(!MODES.includes(mode)) {
+    throw new BedrockError(
+      `"did:v1" mode must be one of: ${MODES.join(', ')}.`, {
+        name: 'DataError',
+        details: {mode, httpStatusCode: 400, public: true}
+      });
+  }
+  return {mode, hostname};
+}
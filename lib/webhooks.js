@@ -0,0 +1,432 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import * as serviceAgents from './serviceAgents.js';
+import assert from 'assert-plus';
+import {setTimeout as delay} from 'node:timers/promises';
+import {getRetryDelay} from './helpers.js';
+import {httpClient} from '@digitalbazaar/http-client';
+import {httpsAgent} from '@bedrock/https-agent';
+import {logger} from './logger.js';
+import {randomUUID} from 'node:crypto';
+
+// load config defaults
+import './config.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const WEBHOOK_COLLECTION_NAME = 'service-agent-webhook';
+const DELIVERY_COLLECTION_NAME = 'service-agent-webhookDelivery';
+const OPERATIONS = ['created', 'updated', 'deleted', 'restored'];
+
+let SWEEPER_ABORT_CONTROLLER;
+let SWEEPER_SHUTDOWN_PROMISE;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections(
+    [WEBHOOK_COLLECTION_NAME, DELIVERY_COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    // cover queries by webhook ID
+    collection: WEBHOOK_COLLECTION_NAME,
+    fields: {'webhook.id': 1},
+    options: {unique: true}
+  }, {
+    // cover queries by service object
+    collection: WEBHOOK_COLLECTION_NAME,
+    fields: {'webhook.serviceObjectId': 1},
+    options: {unique: false}
+  }, {
+    // cover queries by delivery ID
+    collection: DELIVERY_COLLECTION_NAME,
+    fields: {'delivery.id': 1},
+    options: {unique: true}
+  }, {
+    // cover queries by webhook
+    collection: DELIVERY_COLLECTION_NAME,
+    fields: {'delivery.webhookId': 1},
+    options: {unique: false}
+  }, {
+    // cover queries for records to sweep
+    collection: DELIVERY_COLLECTION_NAME,
+    fields: {'meta.state': 1, 'delivery.after': 1},
+    options: {unique: false}
+  }, {
+    // automatically remove failed deliveries after their retention
+    collection: DELIVERY_COLLECTION_NAME,
+    fields: {'meta.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', () => {
+  const {documents: {webhooks: {sweep}}} = bedrock.config['service-agent'];
+  if(sweep.enabled) {
+    // start the sweeper which runs continuously
+    SWEEPER_ABORT_CONTROLLER = new AbortController();
+    SWEEPER_SHUTDOWN_PROMISE = _startSweeper(
+      {signal: SWEEPER_ABORT_CONTROLLER.signal});
+  }
+});
+
+bedrock.events.on('bedrock.exit', async () => {
+  if(!SWEEPER_ABORT_CONTROLLER) {
+    return;
+  }
+  try {
+    // abort sweeper
+    SWEEPER_ABORT_CONTROLLER.abort();
+    await SWEEPER_SHUTDOWN_PROMISE;
+  } catch(error) {
+    logger.error('Error during webhook delivery sweeper shutdown.', {error});
+  }
+});
+
+bedrock.events.on(
+  'bedrock-service-agent.document.changed', async ({
+    serviceType, serviceObjectId, change
+  }) => {
+    // queue deliveries before the document write that emitted the change
+    // completes so that they are sent (or retried by the sweeper) even if
+    // this process stops
+    let ids;
+    try {
+      ids = await _enqueue({serviceType, serviceObjectId, change});
+    } catch(error) {
+      logger.error(
+        'Could not queue webhook deliveries for service object ' +
+        `"${serviceObjectId}".`, {error});
+      return;
+    }
+    // attempt each delivery right away without blocking the write; the
+    // sweeper retries any failures
+    for(const id of ids) {
+      _claimRecord({id})
+        .then(record => record && _deliver({record}))
+        .catch(error => logger.error(
+          `Could not deliver webhook "${id}".`, {error}));
+    }
+  });
+
+/**
+ * Subscribes a webhook to the document changes for a service object. Each
+ * change (see the `bedrock-service-agent.document.changed` event) is
+ * delivered as a JSON `POST` of `{id, serviceObjectId, change}` to the
+ * webhook's `url`. Deliveries are queued before the write that made the
+ * change completes and are sent right away; failed deliveries are retried
+ * (see `documents.webhooks.retry`) and deliveries that fail after the
+ * maximum number of attempts are kept for
+ * `documents.webhooks.failedRetention`.
+ *
+ * Each delivery includes these headers:
+ * - `webhook-id`: The ID of the delivery (`id` in the body).
+ * - `webhook-timestamp`: The time the delivery was sent in seconds since
+ *   the epoch.
+ * - `webhook-key-id`: The ID of the service agent's zcap invocation key
+ *   that signed the delivery; its verification method can be resolved from
+ *   the service agent's DID.
+ * - `webhook-signature`: The base64url-encoded signature over the UTF-8
+ *   bytes of `{webhook-id}.{webhook-timestamp}.{body}`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceType - The service type of the service
+ *   object.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ * @param {string} options.url - The HTTPS URL to deliver changes to.
+ * @param {Array<string>} [options.operations] - The change operations to
+ *   deliver (`created`, `updated`, `deleted`, or `restored`); defaults to
+ *   all operations.
+ *
+ * @returns {Promise<object>} Resolves to the webhook: `{id, serviceType,
+ *   serviceObjectId, url, operations}`.
+ */
+export async function subscribe({
+  serviceType, serviceObjectId, url, operations = OPERATIONS
+} = {}) {
+  assert.string(serviceType, 'serviceType');
+  assert.string(serviceObjectId, 'serviceObjectId');
+  assert.string(url, 'url');
+  assert.arrayOfString(operations, 'operations');
+  if(_getProtocol({url}) !== 'https:') {
+    throw new BedrockError('Webhook URL must be an HTTPS URL.', {
+      name: 'DataError',
+      details: {url, httpStatusCode: 400, public: true}
+    });
+  }
+  if(operations.length === 0 || !operations.every(
+    operation => OPERATIONS.includes(operation))) {
+    throw new BedrockError(
+      `Webhook operations must be one or more of: ${OPERATIONS.join(', ')}.`,
+      {
+        name: 'DataError',
+        details: {operations, httpStatusCode: 400, public: true}
+      });
+  }
+
+  const now = Date.now();
+  const webhook = {
+    id: `urn:uuid:${randomUUID()}`,
+    serviceType, serviceObjectId, url, operations
+  };
+  const collection = database.collections[WEBHOOK_COLLECTION_NAME];
+  await collection.insertOne({meta: {created: now, updated: now}, webhook});
+  return webhook;
+}
+
+/**
+ * Removes a webhook and any of its deliveries that have not been sent.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the webhook.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if the webhook was removed.
+ */
+export async function unsubscribe({id} = {}) {
+  assert.string(id, 'id');
+
+  const collection = database.collections[WEBHOOK_COLLECTION_NAME];
+  const result = await collection.deleteOne({'webhook.id': id});
+  await database.collections[DELIVERY_COLLECTION_NAME].deleteMany(
+    {'delivery.webhookId': id});
+  return result.deletedCount === 1;
+}
+
+/**
+ * Gets the webhooks subscribed to the document changes for a service object.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.serviceObjectId - The ID of the service object.
+ *
+ * @returns {Promise<Array<object>>} Resolves to the webhooks.
+ */
+export async function list({serviceObjectId} = {}) {
+  assert.string(serviceObjectId, 'serviceObjectId');
+
+  const collection = database.collections[WEBHOOK_COLLECTION_NAME];
+  const records = await collection.find(
+    {'webhook.serviceObjectId': serviceObjectId},
+    {projection: {_id: 0, webhook: 1}}).toArray();
+  return records.map(({webhook}) => webhook);
+}
+
+/**
+ * Gets the deliveries for a webhook that have not been sent, i.e., that are
+ * `pending` a retry or that `failed` after the maximum number of attempts
+ * (within `documents.webhooks.failedRetention`).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.webhookId - The ID of the webhook.
+ * @param {string} [options.state] - An optional state to filter by:
+ *   `pending` or `failed`.
+ * @param {number} [options.limit=100] - The maximum number of deliveries.
+ *
+ * @returns {Promise<Array<object>>} Resolves to an array of deliveries with
+ *   `{id, change, state, attempts, after, created, updated, error}`, oldest
+ *   first; `failed` deliveries also have `expires`, the time at which they
+ *   will be removed.
+ */
+export async function getDeliveries({webhookId, state, limit = 100} = {}) {
+  assert.string(webhookId, 'webhookId');
+  assert.optionalString(state, 'state');
+  assert.number(limit, 'limit');
+
+  const query = {'delivery.webhookId': webhookId};
+  if(state !== undefined) {
+    query['meta.state'] = state;
+  }
+  const collection = database.collections[DELIVERY_COLLECTION_NAME];
+  const records = await collection.find(query, {
+    projection: {_id: 0, meta: 1, delivery: 1},
+    sort: {'meta.created': 1},
+    limit
+  }).toArray();
+  return records.map(({meta, delivery}) => ({
+    id: delivery.id,
+    change: delivery.change,
+    state: meta.state,
+    attempts: meta.attempts,
+    after: delivery.after,
+    created: meta.created,
+    updated: meta.updated,
+    error: meta.error,
+    expires: meta.expires?.getTime()
+  }));
+}
+
+/**
+ * Sends any webhook deliveries that are due to be retried.
+ *
+ * @param {object} options - The options to use.
+ * @param {AbortSignal} [options.signal] - An optional signal to abort the
+ *   sweep.
+ *
+ * @returns {Promise<object>} Resolves to `{delivered, failed}` counts of
+ *   delivery attempts for the sweep.
+ */
+export async function sweep({signal} = {}) {
+  const result = {delivered: 0, failed: 0};
+  while(true) {
+    signal?.throwIfAborted();
+    const record = await _claimRecord();
+    if(!record) {
+      return result;
+    }
+    const delivered = await _deliver({record});
+    result[delivered ? 'delivered' : 'failed']++;
+  }
+}
+
+function _getProtocol({url}) {
+  try {
+    return new URL(url).protocol;
+  } catch(e) {
+    // invalid URL
+  }
+}
+
+async function _enqueue({serviceType, serviceObjectId, change}) {
+  const webhooks = await list({serviceObjectId});
+  const records = [];
+  const now = Date.now();
+  for(const webhook of webhooks) {
+    if(webhook.serviceType !== serviceType ||
+      !webhook.operations.includes(change.operation)) {
+      continue;
+    }
+    records.push({
+      meta: {created: now, updated: now, state: 'pending', attempts: 0},
+      delivery: {
+        id: `urn:uuid:${randomUUID()}`,
+        webhookId: webhook.id,
+        serviceType, serviceObjectId, change,
+        after: now
+      }
+    });
+  }
+  if(records.length > 0) {
+    const collection = database.collections[DELIVERY_COLLECTION_NAME];
+    await collection.insertMany(records);
+  }
+  return records.map(({delivery: {id}}) => id);
+}
+
+async function _claimRecord({id} = {}) {
+  // claim a due delivery by moving its `after` time forward so that other
+  // processes will not claim it; if this process stops before finishing, the
+  // delivery will be claimed again later
+  const now = Date.now();
+  const {documents: {webhooks: {sweep}}} = bedrock.config['service-agent'];
+  const query = {'meta.state': 'pending', 'delivery.after': {$lte: now}};
+  if(id !== undefined) {
+    query['delivery.id'] = id;
+  }
+  const collection = database.collections[DELIVERY_COLLECTION_NAME];
+  return collection.findOneAndUpdate(query, {
+    $set: {
+      'delivery.after': now + sweep.isolateTimeout,
+      'meta.updated': now
+    },
+    $inc: {'meta.attempts': 1}
+  }, {
+    projection: {_id: 0, meta: 1, delivery: 1},
+    returnDocument: 'after'
+  });
+}
+
+async function _deliver({record}) {
+  const {id, webhookId} = record.delivery;
+  const collection = database.collections[DELIVERY_COLLECTION_NAME];
+  try {
+    const webhook = await _getWebhook({id: webhookId});
+    if(webhook) {
+      await _send({webhook, delivery: record.delivery});
+    }
+    // remove sent delivery or delivery for a removed webhook
+    await collection.deleteOne({'delivery.id': id});
+    return true;
+  } catch(e) {
+    logger.error(`Could not deliver webhook "${id}".`, {error: e});
+    const {documents: {webhooks: {retry, failedRetention}}} =
+      bedrock.config['service-agent'];
+    const {attempts} = record.meta;
+    const now = Date.now();
+    const $set = {
+      'meta.updated': now,
+      'meta.error': {name: e.name, message: e.message}
+    };
+    if(attempts >= retry.maxAttempts) {
+      $set['meta.state'] = 'failed';
+      $set['meta.expires'] = new Date(now + failedRetention);
+    } else {
+      $set['delivery.after'] = now + getRetryDelay({attempt: attempts, retry});
+    }
+    await collection.updateOne({'delivery.id': id}, {$set});
+    return false;
+  }
+}
+
+async function _getWebhook({id}) {
+  const collection = database.collections[WEBHOOK_COLLECTION_NAME];
+  const record = await collection.findOne(
+    {'webhook.id': id}, {projection: {_id: 0, webhook: 1}});
+  return record?.webhook;
+}
+
+async function _send({webhook, delivery}) {
+  const {id, serviceObjectId, change} = delivery;
+  const body = JSON.stringify({id, serviceObjectId, change});
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const data = new TextEncoder().encode(`${id}.${timestamp}.${body}`);
+  const {keyId, signature} = await _sign(
+    {serviceType: webhook.serviceType, data});
+
+  const {documents: {webhooks: {timeout}}} = bedrock.config['service-agent'];
+  await httpClient.post(webhook.url, {
+    agent: httpsAgent,
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'webhook-id': id,
+      'webhook-timestamp': timestamp,
+      'webhook-key-id': keyId,
+      'webhook-signature': signature
+    },
+    timeout
+  });
+}
+
+async function _sign({serviceType, data}) {
+  // sign with the zcap invocation key (not the HMAC key) so that subscribers
+  // can verify deliveries using the public key from the service agent's DID
+  const {serviceAgent} = await serviceAgents.get({serviceType});
+  const signer = await serviceAgents.getInvocationSigner({serviceAgent});
+  const bytes = await signer.sign({data});
+  return {
+    keyId: signer.id,
+    signature: Buffer.from(bytes).toString('base64url')
+  };
+}
+
+async function _startSweeper({signal}) {
+  const {documents: {webhooks: {sweep: {interval}}}} =
+    bedrock.config['service-agent'];
+  while(!signal.aborted) {
+    try {
+      const {delivered, failed} = await sweep({signal});
+      if(delivered > 0 || failed > 0) {
+        logger.info(
+          `Webhook sweep delivered ${delivered} change(s); ` +
+          `${failed} failed.`);
+      }
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        break;
+      }
+      logger.error('Error during webhook delivery sweep.', {error});
+    }
+    // wait for next sweep; an abort will end the loop
+    await delay(interval, undefined, {signal}).catch(() => {});
+  }
+}
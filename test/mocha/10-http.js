@@ -1,11 +1,12 @@
 /*!
- * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as helpers from './helpers.js';
 import {agent} from '@bedrock/https-agent';
 import {CapabilityAgent} from '@digitalbazaar/webkms-client';
 import {documentStores} from '@bedrock/service-agent';
+import {getAppIdentity} from '@bedrock/app-identity';
 import {httpClient} from '@digitalbazaar/http-client';
 import {mockData} from './mock.data.js';
 
@@ -637,6 +638,58 @@ describe('HTTP API', () => {
         const expectedLocation = `${url}/${encodeURIComponent(id)}`;
         response.headers.get('location').should.equal(expectedLocation);
       });
+      it('inserts a document with a generated ID', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        const data = {foo: 'bar'};
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/generated-id-docs`;
+
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url, json: {data},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(response);
+        const {id} = response.data;
+        id.should.match(/^urn:uuid:/);
+        response.data.should.deep.equal({id, data, sequence: 0});
+        const expectedLocation = `${url}/${encodeURIComponent(id)}`;
+        response.headers.get('location').should.equal(expectedLocation);
+
+        // document can be retrieved by generated ID
+        const {data: doc} = await client.read({
+          url: expectedLocation, capability: rootZcap
+        });
+        doc.should.deep.equal({id, data, sequence: 0});
+      });
+      it('fails to insert a document without an ID', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs`;
+
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url, json: {data: {}},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(400);
+      });
       it('fails to insert a duplicate document', async () => {
         const config = await helpers.createConfig({capabilityAgent, zcaps});
         const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
@@ -723,100 +776,1421 @@ describe('HTTP API', () => {
           sequence: 1
         });
       });
-      it('gets a document', async () => {
+      it('updates a document using "If-Match"', async () => {
         const config = await helpers.createConfig({capabilityAgent, zcaps});
         const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
 
-        // insert example document
+        // insert example doc
         const id = `urn:uuid:${crypto.randomUUID()}`;
         const data = {foo: 'bar'};
         const client = helpers.createZcapClient({capabilityAgent});
         let url = `${config.id}/example-docs`;
-        await client.write({
+        const {headers} = await client.write({
           url, json: {id, data},
           capability: rootZcap
         });
+        const etag = headers.get('etag');
+        etag.should.equal('"0"');
+
+        // update `data` using ETag instead of `sequence`
+        data.baz = 'thing';
+        url = `${url}/${encodeURIComponent(id)}`;
+        {
+          let err;
+          let response;
+          try {
+            response = await client.write({
+              url, json: {id, data},
+              headers: {'if-match': etag},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          assertNoError(err);
+          should.exist(response);
+          response.headers.get('etag').should.equal('"1"');
+          response.data.should.deep.equal({id, data, sequence: 1});
+        }
+
+        // update again using stale ETag
+        {
+          let err;
+          let response;
+          try {
+            response = await client.write({
+              url, json: {id, data},
+              headers: {'if-match': etag},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(412);
+          err.data.details.actual.should.equal(1);
+        }
+
+        // update without any precondition
+        {
+          let err;
+          let response;
+          try {
+            response = await client.write({
+              url, json: {id, data},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(428);
+        }
+      });
+      it('patches a document using a merge patch', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
 
+        // insert example doc
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        let url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data: {foo: 'bar', baz: 'thing'}},
+          capability: rootZcap
+        });
         url = `${url}/${encodeURIComponent(id)}`;
+
         let err;
         let response;
         try {
-          response = await client.read({
-            url, capability: rootZcap
+          response = await client.request({
+            url, capability: rootZcap, method: 'patch', action: 'write',
+            headers: {
+              'content-type': 'application/merge-patch+json',
+              'if-match': '"0"'
+            },
+            json: {data: {foo: 'new', baz: null}}
           });
         } catch(e) {
           err = e;
         }
         assertNoError(err);
         should.exist(response);
-        should.exist(response.data);
+        response.headers.get('etag').should.equal('"1"');
         response.data.should.deep.equal({
           id,
-          data,
-          sequence: 0
+          data: {foo: 'new'},
+          sequence: 1
         });
       });
-      it('fails to get a document with wrong meta type', async () => {
+      it('patches a document using a JSON patch', async () => {
         const config = await helpers.createConfig({capabilityAgent, zcaps});
         const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
 
-        // insert document
+        // insert example doc
         const id = `urn:uuid:${crypto.randomUUID()}`;
-        const data = {foo: 'bar'};
         const client = helpers.createZcapClient({capabilityAgent});
         let url = `${config.id}/example-docs`;
         await client.write({
-          url, json: {id, data},
+          url, json: {id, data: {list: ['a']}},
           capability: rootZcap
         });
-        // update URL to doc URL
         url = `${url}/${encodeURIComponent(id)}`;
+        const headers = {'content-type': 'application/json-patch+json'};
 
-        // get document successfully
         {
           let err;
           let response;
           try {
-            response = await client.read({
-              url, capability: rootZcap
+            response = await client.request({
+              url, capability: rootZcap, method: 'patch', action: 'write',
+              headers,
+              json: [
+                {op: 'test', path: '/data/list/0', value: 'a'},
+                {op: 'add', path: '/data/list/-', value: 'b'}
+              ]
             });
           } catch(e) {
             err = e;
           }
           assertNoError(err);
           should.exist(response);
-          should.exist(response.data);
           response.data.should.deep.equal({
             id,
-            data,
-            sequence: 0
+            data: {list: ['a', 'b']},
+            sequence: 1
           });
         }
 
-        // now erroneously update context to new meta type
-        const {documentStore} = await documentStores.get({
-          config, serviceType: 'example'
-        });
-        await documentStore.upsert({
-          content: {id, data},
-          meta: {type: 'different'}
-        });
+        // failed `test` operation
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url, capability: rootZcap, method: 'patch', action: 'write',
+              headers,
+              json: [{op: 'test', path: '/data/list/0', value: 'x'}]
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(409);
+        }
 
+        // patched document fails validation
         {
           let err;
           let response;
           try {
-            response = await client.read({
-              url, capability: rootZcap
+            response = await client.request({
+              url, capability: rootZcap, method: 'patch', action: 'write',
+              headers,
+              json: [{op: 'add', path: '/extra', value: true}]
             });
           } catch(e) {
             err = e;
           }
           should.exist(err);
           should.not.exist(response);
-          err.data.name.should.equal('NotFoundError');
+          err.status.should.equal(400);
+        }
+
+        // changing `id` is not allowed
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url, capability: rootZcap, method: 'patch', action: 'write',
+              headers,
+              json: [{op: 'replace', path: '/id', value: 'urn:other'}]
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(400);
+        }
+      });
+      it('fails to patch a missing document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs/${encodeURIComponent(id)}`;
+        let err;
+        let response;
+        try {
+          response = await client.request({
+            url, capability: rootZcap, method: 'patch', action: 'write',
+            headers: {'content-type': 'application/merge-patch+json'},
+            json: {data: {}}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(404);
+      });
+      it('fails to patch with an unsupported content type', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs/${encodeURIComponent(id)}`;
+        let err;
+        let response;
+        try {
+          response = await client.request({
+            url, capability: rootZcap, method: 'patch', action: 'write',
+            json: {data: {}}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(415);
+      });
+      it('fails to update a missing document using "If-Match"', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs/${encodeURIComponent(id)}`;
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url, json: {id, data: {}},
+            headers: {'if-match': '*'},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(412);
+      });
+      it('fails to insert a duplicate with "If-None-Match"', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data: {}},
+          headers: {'if-none-match': '*'},
+          capability: rootZcap
+        });
+
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url, json: {id, data: {}},
+            headers: {'if-none-match': '*'},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(412);
+        err.data.name.should.equal('DuplicateError');
+      });
+      it('gets a document with an ETag', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        let url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data: {}},
+          capability: rootZcap
+        });
+        url = `${url}/${encodeURIComponent(id)}`;
+
+        const response = await client.read({url, capability: rootZcap});
+        const etag = response.headers.get('etag');
+        etag.should.equal('"0"');
+
+        // `If-None-Match` with current ETag
+        let err;
+        try {
+          await client.read({
+            url, headers: {'if-none-match': etag}, capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
         }
+        should.exist(err);
+        err.status.should.equal(304);
       });
+      it('gets a document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert example document
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const data = {foo: 'bar'};
+        const client = helpers.createZcapClient({capabilityAgent});
+        let url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data},
+          capability: rootZcap
+        });
+
+        url = `${url}/${encodeURIComponent(id)}`;
+        let err;
+        let response;
+        try {
+          response = await client.read({
+            url, capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(response);
+        should.exist(response.data);
+        response.data.should.deep.equal({
+          id,
+          data,
+          sequence: 0
+        });
+      });
+      it('fails to get a document with wrong meta type', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert document
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const data = {foo: 'bar'};
+        const client = helpers.createZcapClient({capabilityAgent});
+        let url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data},
+          capability: rootZcap
+        });
+        // update URL to doc URL
+        url = `${url}/${encodeURIComponent(id)}`;
+
+        // get document successfully
+        {
+          let err;
+          let response;
+          try {
+            response = await client.read({
+              url, capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          assertNoError(err);
+          should.exist(response);
+          should.exist(response.data);
+          response.data.should.deep.equal({
+            id,
+            data,
+            sequence: 0
+          });
+        }
+
+        // now erroneously update context to new meta type
+        const {documentStore} = await documentStores.get({
+          config, serviceType: 'example'
+        });
+        await documentStore.upsert({
+          content: {id, data},
+          meta: {type: 'different'}
+        });
+
+        {
+          let err;
+          let response;
+          try {
+            response = await client.read({
+              url, capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.data.name.should.equal('NotFoundError');
+        }
+      });
+      it('deletes a document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert document
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const data = {foo: 'bar'};
+        const client = helpers.createZcapClient({capabilityAgent});
+        let url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data},
+          capability: rootZcap
+        });
+        url = `${url}/${encodeURIComponent(id)}`;
+
+        // delete document
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url, capability: rootZcap, method: 'delete', action: 'write'
+            });
+          } catch(e) {
+            err = e;
+          }
+          assertNoError(err);
+          should.exist(response);
+          response.status.should.equal(204);
+        }
+
+        // document should be gone
+        {
+          let err;
+          let response;
+          try {
+            response = await client.read({url, capability: rootZcap});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(404);
+        }
+
+        // deleting again should fail
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url, capability: rootZcap, method: 'delete', action: 'write'
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(404);
+        }
+      });
+      it('fails to delete a document with wrong meta type', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert document with a different meta type
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const {documentStore} = await documentStores.get({
+          config, serviceType: 'example'
+        });
+        await documentStore.upsert({
+          content: {id, data: {}},
+          meta: {type: 'different'}
+        });
+
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs/${encodeURIComponent(id)}`;
+        let err;
+        let response;
+        try {
+          response = await client.request({
+            url, capability: rootZcap, method: 'delete', action: 'write'
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(404);
+
+        // document must still exist
+        const doc = await documentStore.get({id, useCache: false});
+        doc.content.id.should.equal(id);
+      });
+      it('fails to delete a document with a failed precondition', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert document
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const data = {foo: 'bar'};
+        const client = helpers.createZcapClient({capabilityAgent});
+        let url = `${config.id}/example-docs`;
+        await client.write({
+          url, json: {id, data},
+          capability: rootZcap
+        });
+        url = `${url}/${encodeURIComponent(id)}`;
+
+        // `If-Match` mismatch
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url, capability: rootZcap, method: 'delete', action: 'write',
+              headers: {'if-match': '"1"'}
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(412);
+        }
+
+        // `sequence` mismatch
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url: `${url}?sequence=1`, capability: rootZcap,
+              method: 'delete', action: 'write'
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(409);
+          err.data.details.actual.should.equal(0);
+        }
+
+        // matching `If-Match` and `sequence`
+        {
+          let err;
+          let response;
+          try {
+            response = await client.request({
+              url: `${url}?sequence=0`, capability: rootZcap,
+              method: 'delete', action: 'write',
+              headers: {'if-match': '"0"'}
+            });
+          } catch(e) {
+            err = e;
+          }
+          assertNoError(err);
+          response.status.should.equal(204);
+        }
+      });
+      it('performs batch operations', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert documents to update and delete
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs`;
+        const updateId = `urn:uuid:${crypto.randomUUID()}`;
+        const deleteId = `urn:uuid:${crypto.randomUUID()}`;
+        for(const id of [updateId, deleteId]) {
+          await client.write({
+            url, json: {id, data: {foo: 'bar'}},
+            capability: rootZcap
+          });
+        }
+
+        const createId = `urn:uuid:${crypto.randomUUID()}`;
+        const missingId = `urn:uuid:${crypto.randomUUID()}`;
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url: `${url}/batch`,
+            json: {
+              operations: [
+                {op: 'create', document: {id: createId, data: {a: 1}}},
+                {op: 'create', document: {id: updateId, data: {a: 1}}},
+                {
+                  op: 'update',
+                  document: {id: updateId, data: {a: 2}, sequence: 1}
+                },
+                {op: 'delete', id: deleteId, sequence: 0},
+                {op: 'delete', id: missingId},
+                {op: 'update', document: {id: missingId, data: {}}}
+              ]
+            },
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        should.exist(response);
+        const {results} = response.data;
+        results.map(({id, status}) => ({id, status})).should.deep.equal([
+          {id: createId, status: 201},
+          {id: updateId, status: 409},
+          {id: updateId, status: 200},
+          {id: deleteId, status: 204},
+          {id: missingId, status: 404},
+          {id: missingId, status: 400}
+        ]);
+        results[0].sequence.should.equal(0);
+        results[1].error.name.should.equal('DuplicateError');
+        results[2].sequence.should.equal(1);
+
+        // check results were stored
+        const {data: doc} = await client.read({
+          url: `${url}/${encodeURIComponent(updateId)}`,
+          capability: rootZcap
+        });
+        doc.should.deep.equal({id: updateId, data: {a: 2}, sequence: 1});
+      });
+      it('rejects batch operations on other documents', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+
+        // a document of another type in the same service object
+        const otherId = `urn:uuid:${crypto.randomUUID()}`;
+        await client.write({
+          url: `${config.id}/versioned-docs`,
+          json: {id: otherId, data: {}},
+          capability: rootZcap
+        });
+
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url: `${config.id}/example-docs/batch`,
+            json: {
+              operations: [
+                {
+                  op: 'update',
+                  document: {id: otherId, data: {}, sequence: 1}
+                },
+                {op: 'create', document: {id: 'batch', data: {}}}
+              ]
+            },
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        assertNoError(err);
+        const {results} = response.data;
+        results.map(({id, status}) => ({id, status})).should.deep.equal([
+          {id: otherId, status: 403},
+          {id: 'batch', status: 400}
+        ]);
+        results[0].error.name.should.equal('NotAllowedError');
+        results[1].error.name.should.equal('DataError');
+      });
+      it('fails to create a duplicate unique attribute', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/indexed-docs`;
+        const data = {email: 'a@example.com'};
+
+        await client.write({
+          url, json: {id: `urn:uuid:${crypto.randomUUID()}`, data},
+          capability: rootZcap
+        });
+
+        let err;
+        try {
+          await client.write({
+            url, json: {id: `urn:uuid:${crypto.randomUUID()}`, data},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(409);
+        err.data.type.should.equal('DuplicateError');
+        err.data.details.attribute.should.equal('content.data.email');
+
+        // batch operations report the same error
+        const response = await client.write({
+          url: `${url}/batch`,
+          json: {
+            operations: [{
+              op: 'create',
+              document: {id: `urn:uuid:${crypto.randomUUID()}`, data}
+            }]
+          },
+          capability: rootZcap
+        });
+        const [result] = response.data.results;
+        result.status.should.equal(409);
+        result.error.name.should.equal('DuplicateError');
+      });
+      it('fails to create a document with the ID "batch"', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+
+        let err;
+        try {
+          await client.write({
+            url: `${config.id}/example-docs`,
+            json: {id: 'batch', data: {}},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(400);
+        err.data.type.should.equal('DataError');
+      });
+      it('fails to perform an empty batch', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url: `${config.id}/example-docs/batch`,
+            json: {operations: []},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(400);
+      });
+      it('runs document hooks', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/hooked-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+
+        // listen for writes
+        const writes = [];
+        let resolveWrites;
+        const writesPromise = new Promise(r => resolveWrites = r);
+        mockData.documentWriteListeners.set(id, ({operation}) => {
+          writes.push(operation);
+          if(writes.length === 2) {
+            resolveWrites();
+          }
+        });
+
+        // `beforeCreate` rejects invalid data
+        {
+          let err;
+          let response;
+          try {
+            response = await client.write({
+              url, json: {id, data: {min: 2, max: 1}},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(400);
+          err.data.message.should.equal(
+            '"min" must not be greater than "max".');
+        }
+
+        // create document; `transformResponse` redacts `secret`
+        {
+          const response = await client.write({
+            url, json: {id, data: {min: 1, max: 2, secret: 'x'}},
+            capability: rootZcap
+          });
+          response.data.should.deep.equal(
+            {id, data: {min: 1, max: 2}, sequence: 0});
+        }
+
+        // `secret` is also redacted on read
+        const docUrl = `${url}/${encodeURIComponent(id)}`;
+        {
+          const response = await client.read({
+            url: docUrl, capability: rootZcap
+          });
+          response.data.should.deep.equal(
+            {id, data: {min: 1, max: 2}, sequence: 0});
+        }
+
+        // update to lock document
+        await client.write({
+          url: docUrl,
+          json: {id, data: {min: 1, max: 2, locked: true}, sequence: 1},
+          capability: rootZcap
+        });
+
+        // `beforeUpdate` rejects updates to locked documents
+        {
+          let err;
+          let response;
+          try {
+            response = await client.write({
+              url: docUrl, json: {id, data: {}, sequence: 2},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          should.not.exist(response);
+          err.status.should.equal(403);
+        }
+
+        // `afterWrite` was called for the create and the update
+        await writesPromise;
+        mockData.documentWriteListeners.delete(id);
+        writes.should.deep.equal(['create', 'update']);
+      });
+      it('lists document versions', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/versioned-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const docUrl = `${url}/${encodeURIComponent(id)}`;
+
+        await client.write({
+          url, json: {id, data: {value: 0}}, capability: rootZcap
+        });
+        await client.write({
+          url: docUrl, json: {id, data: {value: 1}, sequence: 1},
+          capability: rootZcap
+        });
+        await client.request({
+          url: docUrl, method: 'patch', action: 'write',
+          headers: {'content-type': 'application/merge-patch+json'},
+          json: {data: {value: 2}}, capability: rootZcap
+        });
+
+        const response = await client.read({
+          url: `${docUrl}/versions`, capability: rootZcap
+        });
+        const {versions} = response.data;
+        versions.length.should.equal(2);
+        versions.map(({created, ...v}) => {
+          created.should.be.a('number');
+          return v;
+        }).should.deep.equal([
+          {id, data: {value: 0}, sequence: 0},
+          {id, data: {value: 1}, sequence: 1}
+        ]);
+        should.not.exist(response.data.cursor);
+
+        // versions can be listed a page at a time
+        const page1 = await client.read({
+          url: `${docUrl}/versions?limit=1`, capability: rootZcap
+        });
+        page1.data.versions.map(({sequence}) => sequence).should.deep.equal(
+          [0]);
+        should.exist(page1.data.cursor);
+        const cursor = encodeURIComponent(page1.data.cursor);
+        const page2 = await client.read({
+          url: `${docUrl}/versions?limit=1&cursor=${cursor}`,
+          capability: rootZcap
+        });
+        page2.data.versions.map(({sequence}) => sequence).should.deep.equal(
+          [1]);
+      });
+      it('restores a soft deleted document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/recoverable-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const docUrl = `${url}/${encodeURIComponent(id)}`;
+        const restoreUrl = `${docUrl}/restore`;
+
+        await client.write({
+          url, json: {id, data: {foo: 'bar'}}, capability: rootZcap
+        });
+        await client.request({
+          url: docUrl, method: 'delete', action: 'write',
+          capability: rootZcap
+        });
+
+        // deleted document is not found
+        {
+          let err;
+          try {
+            await client.read({url: docUrl, capability: rootZcap});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.status.should.equal(404);
+        }
+
+        // restore document
+        {
+          const response = await client.write({
+            url: restoreUrl, json: {}, capability: rootZcap
+          });
+          response.status.should.equal(200);
+          response.data.should.deep.equal(
+            {id, data: {foo: 'bar'}, sequence: 2});
+          response.headers.get('etag').should.equal('"2"');
+        }
+
+        // document can be read again
+        {
+          const response = await client.read({
+            url: docUrl, capability: rootZcap
+          });
+          response.data.should.deep.equal(
+            {id, data: {foo: 'bar'}, sequence: 2});
+        }
+
+        // document that is not deleted cannot be restored
+        {
+          let err;
+          try {
+            await client.write({
+              url: restoreUrl, json: {}, capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.status.should.equal(404);
+        }
+      });
+      it('does not update a soft deleted document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/recoverable-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const docUrl = `${url}/${encodeURIComponent(id)}`;
+
+        await client.write({
+          url, json: {id, data: {foo: 'bar'}}, capability: rootZcap
+        });
+        await client.request({
+          url: docUrl, method: 'delete', action: 'write',
+          capability: rootZcap
+        });
+
+        // update of deleted document is rejected
+        {
+          let err;
+          try {
+            await client.write({
+              url: docUrl, json: {id, data: {foo: 'baz'}, sequence: 1},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.status.should.equal(409);
+        }
+
+        // a document of another type cannot replace it
+        {
+          let err;
+          try {
+            await client.write({
+              url: `${config.id}/example-docs`, json: {id, data: {}},
+              capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.status.should.equal(409);
+        }
+
+        // deleted document can still be restored
+        const response = await client.write({
+          url: `${docUrl}/restore`, json: {}, capability: rootZcap
+        });
+        response.data.should.deep.equal(
+          {id, data: {foo: 'bar'}, sequence: 2});
+      });
+      it('expires a document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/expiring-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const docUrl = `${url}/${encodeURIComponent(id)}`;
+
+        await client.write({
+          url, json: {id, data: {foo: 'bar'}}, capability: rootZcap
+        });
+        const response = await client.read({
+          url: docUrl, capability: rootZcap
+        });
+        response.data.should.deep.equal(
+          {id, data: {foo: 'bar'}, sequence: 0});
+
+        // wait for document to expire
+        await new Promise(r => setTimeout(r, 600));
+
+        let err;
+        try {
+          await client.read({url: docUrl, capability: rootZcap});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(404);
+
+        // expired document can be created again
+        await client.write({
+          url, json: {id, data: {foo: 'baz'}}, capability: rootZcap
+        });
+      });
+      it('fails to insert a document that is too large', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+
+        const {documents: {limitsByServiceType}} =
+          bedrock.config['service-agent'];
+        limitsByServiceType.example = {maxDocumentBytes: 100};
+        let err;
+        let response;
+        try {
+          response = await client.write({
+            url, json: {id, data: {foo: 'x'.repeat(100)}},
+            capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        } finally {
+          delete limitsByServiceType.example;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(413);
+        err.data.name.should.equal('DataError');
+      });
+      it('fails to list versions of a missing document', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const url =
+          `${config.id}/versioned-docs/${encodeURIComponent(id)}/versions`;
+
+        let err;
+        let response;
+        try {
+          response = await client.read({url, capability: rootZcap});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(404);
+      });
+      it('lists documents', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+
+        // insert documents
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs`;
+        const expected = [];
+        for(let i = 0; i < 3; ++i) {
+          const id = `urn:uuid:${crypto.randomUUID()}`;
+          const data = {foo: 'bar', i};
+          await client.write({
+            url, json: {id, data},
+            capability: rootZcap
+          });
+          expected.push({id, data, sequence: 0});
+        }
+
+        // a document with a different meta type must not be listed
+        const {documentStore} = await documentStores.get({
+          config, serviceType: 'example'
+        });
+        await documentStore.upsert({
+          content: {id: `urn:uuid:${crypto.randomUUID()}`, data: {}},
+          meta: {type: 'different'}
+        });
+
+        // list documents in pages of 2
+        const documents = [];
+        let cursor;
+        do {
+          let err;
+          let response;
+          try {
+            const query = cursor === undefined ?
+              '?limit=2' : `?limit=2&cursor=${encodeURIComponent(cursor)}`;
+            response = await client.read({
+              url: `${url}${query}`, capability: rootZcap
+            });
+          } catch(e) {
+            err = e;
+          }
+          assertNoError(err);
+          should.exist(response);
+          response.data.documents.length.should.be.lte(2);
+          documents.push(...response.data.documents);
+          ({cursor} = response.data);
+        } while(cursor);
+
+        const byId = (a, b) => a.id.localeCompare(b.id);
+        documents.sort(byId).should.deep.equal(expected.sort(byId));
+      });
+      it('fails to list documents with an invalid limit', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs?limit=0`;
+
+        let err;
+        let response;
+        try {
+          response = await client.read({url, capability: rootZcap});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(400);
+      });
+      it('streams document changes', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs`;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        const docUrl = `${url}/${encodeURIComponent(id)}`;
+
+        await client.write({
+          url, json: {id, data: {value: 0}}, capability: rootZcap
+        });
+        // a change to a document with a different meta type is not streamed
+        const {documentStore} = await documentStores.get({
+          config, serviceType: 'example'
+        });
+        await documentStore.upsert({
+          content: {id: `urn:uuid:${crypto.randomUUID()}`, data: {}},
+          meta: {type: 'different'}
+        });
+        await client.request({
+          url: docUrl, method: 'delete', action: 'write',
+          capability: rootZcap
+        });
+
+        // resume from the first change
+        const response = await client.read({
+          url: `${url}?watch=true`, headers: {'last-event-id': '0'},
+          capability: rootZcap
+        });
+        response.status.should.equal(200);
+        response.headers.get('content-type').should.include(
+          'text/event-stream');
+        const events = await helpers.readServerSentEvents(
+          {response, count: 2});
+        events.map(({id, event}) => ({id, event})).should.deep.equal([
+          {id: '1', event: 'change'},
+          {id: '3', event: 'change'}
+        ]);
+        const changes = events.map(({data}) => JSON.parse(data));
+        changes.map(({operation}) => operation).should.deep.equal(
+          ['created', 'deleted']);
+        changes[0].id.should.equal(id);
+        changes[0].sequence.should.equal(0);
+      });
+      it('resets a stream with an unknown "Last-Event-ID"', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs?watch=true`;
+
+        const response = await client.read({
+          url, headers: {'last-event-id': '100'}, capability: rootZcap
+        });
+        const events = await helpers.readServerSentEvents(
+          {response, count: 1});
+        events.should.deep.equal([{id: '0', event: 'reset', data: '{}'}]);
+      });
+      it('fails to stream with an invalid "Last-Event-ID"', async () => {
+        const config = await helpers.createConfig({capabilityAgent, zcaps});
+        const rootZcap = `urn:zcap:root:${encodeURIComponent(config.id)}`;
+        const client = helpers.createZcapClient({capabilityAgent});
+        const url = `${config.id}/example-docs?watch=true`;
+
+        let err;
+        let response;
+        try {
+          response = await client.read({
+            url, headers: {'last-event-id': 'invalid'}, capability: rootZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        should.not.exist(response);
+        err.status.should.equal(400);
+      });
+    });
+  });
+
+  describe('service agent descriptor', () => {
+    const url = `${baseUrl}/service-agents/example`;
+    it('gets a service agent descriptor', async () => {
+      let err;
+      let response;
+      try {
+        response = await httpClient.get(url, {agent});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(response);
+      response.status.should.equal(200);
+      should.exist(response.headers.get('etag'));
+      should.exist(response.headers.get('last-modified'));
+      response.headers.get('cache-control').should.equal(
+        bedrock.config['service-agent'].serviceAgentDescriptor.cacheControl);
+      const {data} = response;
+      data.serviceType.should.equal('example');
+      data.id.should.be.a('string');
+      should.exist(data.verificationMethod);
+      data.verificationMethod.controller.should.equal(data.id);
+      data.verificationMethod.id.should.be.a('string');
+      data.verificationMethod.type.should.be.a('string');
+      data.verificationMethod.publicKeyMultibase.should.be.a('string');
+      should.not.exist(data.keyAgreement);
+    });
+    it('returns 304 for a matching "If-None-Match" header', async () => {
+      const {headers} = await httpClient.get(url, {agent});
+      const etag = headers.get('etag');
+
+      let err;
+      try {
+        await httpClient.get(url, {
+          agent, headers: {'if-none-match': etag}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(304);
+    });
+    it('returns 404 for an unknown service type', async () => {
+      const serviceType = `unknown-${crypto.randomUUID()}`;
+      let err;
+      let response;
+      try {
+        response = await httpClient.get(
+          `${baseUrl}/service-agents/${serviceType}`, {agent});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(response);
+      err.status.should.equal(404);
+      err.data.type.should.equal('NotFoundError');
+      err.data.details.serviceType.should.equal(serviceType);
+    });
+  });
+
+  describe('list service agents', () => {
+    const url = `${baseUrl}/service-agents`;
+    it('lists service agents', async () => {
+      const {keys: {capabilityInvocationKey}} = getAppIdentity();
+      const client = helpers.createZcapClient({
+        invocationSigner: capabilityInvocationKey.signer()
+      });
+
+      let err;
+      let response;
+      try {
+        response = await client.read({url: `${url}?limit=1`});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(response);
+      response.status.should.equal(200);
+      response.data.serviceAgents.length.should.equal(1);
+      should.exist(response.data.cursor);
+
+      // get next page
+      const {cursor} = response.data;
+      const {data} = await client.read(
+        {url: `${url}?limit=1&cursor=${encodeURIComponent(cursor)}`});
+      data.serviceAgents.length.should.equal(1);
+      data.serviceAgents[0].serviceType.should.not.equal(
+        response.data.serviceAgents[0].serviceType);
+    });
+    it('fails to list without authorization', async () => {
+      let err;
+      let response;
+      try {
+        response = await httpClient.get(url, {agent});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(response);
+      err.status.should.equal(403);
+      err.data.type.should.equal('NotAllowedError');
+    });
+    it('fails to list with an invalid limit', async () => {
+      const {keys: {capabilityInvocationKey}} = getAppIdentity();
+      const client = helpers.createZcapClient({
+        invocationSigner: capabilityInvocationKey.signer()
+      });
+
+      let err;
+      let response;
+      try {
+        response = await client.read({url: `${url}?limit=0`});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(response);
+      err.status.should.equal(400);
+    });
+  });
+
+  describe('service agent verification', () => {
+    const url = `${baseUrl}/service-agents/example/verify`;
+    it('verifies a service agent', async () => {
+      const {keys: {capabilityInvocationKey}} = getAppIdentity();
+      const client = helpers.createZcapClient({
+        invocationSigner: capabilityInvocationKey.signer()
+      });
+
+      let err;
+      let response;
+      try {
+        response = await client.read({url});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(response);
+      response.status.should.equal(200);
+      response.data.verified.should.equal(true);
+      response.data.serviceAgent.serviceType.should.equal('example');
+    });
+    it('fails to verify without authorization', async () => {
+      let err;
+      let response;
+      try {
+        response = await httpClient.get(url, {agent});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(response);
+      err.status.should.equal(403);
+      err.data.type.should.equal('NotAllowedError');
+    });
+    it('fails to verify with an unauthorized agent', async () => {
+      const capabilityAgent = await CapabilityAgent.fromSecret(
+        {secret: crypto.randomUUID(), handle: 'test'});
+      const client = helpers.createZcapClient({capabilityAgent});
+
+      let err;
+      let response;
+      try {
+        response = await client.read({url});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(response);
+      err.status.should.equal(403);
     });
   });
 });
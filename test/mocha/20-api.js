@@ -1,10 +1,15 @@
 /*!
- * Copyright (c) 2019-2024 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import * as helpers from './helpers.js';
-import {documentStores, serviceAgents} from '@bedrock/service-agent';
+import {
+  documentPurges, documentStores, documentUsage, initializeServiceAgent,
+  orphanedKeystores, serviceAgents, webhooks
+} from '@bedrock/service-agent';
 import {agent} from '@bedrock/https-agent';
 import {CapabilityAgent} from '@digitalbazaar/webkms-client';
+import {didIo} from '@bedrock/did-io';
 import {httpClient} from '@digitalbazaar/http-client';
 import {mockData} from './mock.data.js';
 
@@ -104,6 +109,965 @@ describe('API', () => {
         documentStores._resetDocumentStoreCache();
       });
     });
+
+    describe('find', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      before(async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        for(let i = 0; i < 3; ++i) {
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`, index: i},
+            meta: {type}
+          });
+        }
+      });
+      it('finds documents by type', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const {documents, cursor} = await documentStore.find({type});
+        documents.length.should.equal(3);
+        should.not.exist(cursor);
+        for(const doc of documents) {
+          doc.meta.type.should.equal(type);
+        }
+      });
+      it('finds documents using a cursor', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const page1 = await documentStore.find({type, limit: 2});
+        page1.documents.length.should.equal(2);
+        should.exist(page1.cursor);
+
+        const page2 = await documentStore.find(
+          {type, limit: 2, cursor: page1.cursor});
+        page2.documents.length.should.equal(1);
+        should.not.exist(page2.cursor);
+
+        const ids = [...page1.documents, ...page2.documents]
+          .map(doc => doc.content.id);
+        new Set(ids).size.should.equal(3);
+      });
+      it('fills pages after omitted documents', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const pageType = `urn:test:${crypto.randomUUID()}`;
+        const ids = [];
+        for(let i = 0; i < 4; ++i) {
+          const id = `urn:uuid:${crypto.randomUUID()}`;
+          ids.push(id);
+          await documentStore.upsert({content: {id}, meta: {type: pageType}});
+        }
+        // an expired document is omitted without shortening the page
+        await documentStore.upsert({
+          content: {id: `urn:uuid:${crypto.randomUUID()}`},
+          meta: {type: pageType, expires: Date.now() - 1000}
+        });
+
+        const found = [];
+        let cursor;
+        do {
+          const page = await documentStore.find(
+            {type: pageType, limit: 2, cursor});
+          if(page.cursor) {
+            page.documents.length.should.equal(2);
+          }
+          found.push(...page.documents.map(doc => doc.content.id));
+          ({cursor} = page);
+        } while(cursor);
+        found.should.have.length(4);
+        found.should.have.members(ids);
+      });
+      it('pages through documents in many buckets', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const pageType = `urn:test:${crypto.randomUUID()}`;
+        const ids = [];
+        for(let i = 0; i < 20; ++i) {
+          const id = `urn:uuid:${crypto.randomUUID()}`;
+          ids.push(id);
+          await documentStore.upsert({content: {id}, meta: {type: pageType}});
+        }
+
+        const found = [];
+        let cursor;
+        do {
+          const page = await documentStore.find(
+            {type: pageType, limit: 3, cursor});
+          page.documents.length.should.be.at.most(3);
+          found.push(...page.documents.map(doc => doc.content.id));
+          ({cursor} = page);
+        } while(cursor);
+        found.should.have.length(20);
+        found.should.have.members(ids);
+      });
+      it('performs many operations', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const existingId = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id: existingId}, meta: {type}});
+
+        const newId = `urn:uuid:${crypto.randomUUID()}`;
+        const results = await documentStore.upsertMany({
+          operations: [
+            {type: 'upsert', content: {id: newId}, meta: {type}},
+            {
+              type: 'upsert', content: {id: existingId}, meta: {type},
+              async mutator() {
+                throw new Error('Aborted.');
+              }
+            },
+            {type: 'delete', id: existingId},
+            {type: 'delete', id: `urn:uuid:${crypto.randomUUID()}`}
+          ],
+          concurrency: 1
+        });
+        results.length.should.equal(4);
+        results[0].doc.content.id.should.equal(newId);
+        results[1].error.message.should.equal('Aborted.');
+        results[2].deleted.should.equal(true);
+        results[3].deleted.should.equal(false);
+      });
+      it('fails to find with an invalid cursor', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        let err;
+        try {
+          await documentStore.find({type, cursor: 'invalid'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+    });
+    describe('versions', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      it('keeps prior versions of a document', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        for(let i = 0; i < 3; ++i) {
+          await documentStore.upsert(
+            {content: {id, index: i}, meta: {type}, history: true});
+        }
+
+        const {versions, cursor} = await documentStore.listVersions({id});
+        should.not.exist(cursor);
+        versions.map(({sequence}) => sequence).should.deep.equal([0, 1]);
+        versions[0].id.should.equal(id);
+        versions[0].content.should.deep.equal({id, index: 0});
+        versions[0].meta.should.deep.equal({type});
+        versions[0].created.should.be.a('number');
+        versions[1].content.should.deep.equal({id, index: 1});
+
+        const version = await documentStore.getVersion({id, sequence: 1});
+        version.should.deep.equal(versions[1]);
+
+        // versions are not returned when finding the document's type
+        const {documents} = await documentStore.find({type});
+        documents.length.should.equal(1);
+        documents[0].content.should.deep.equal({id, index: 2});
+      });
+      it('does not keep versions without "history"', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+        await documentStore.upsert({content: {id}, meta: {type}});
+        const {versions} = await documentStore.listVersions({id});
+        versions.should.deep.equal([]);
+      });
+      it('lists versions using a cursor', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        for(let i = 0; i < 6; ++i) {
+          await documentStore.upsert(
+            {content: {id, index: i}, meta: {type}, history: true});
+        }
+
+        const sequences = [];
+        let cursor;
+        do {
+          const page = await documentStore.listVersions(
+            {id, limit: 2, cursor});
+          page.versions.length.should.be.at.most(2);
+          sequences.push(...page.versions.map(({sequence}) => sequence));
+          ({cursor} = page);
+        } while(cursor);
+        sequences.should.deep.equal([0, 1, 2, 3, 4]);
+      });
+      it('purges versions after their retention', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const {history} = bedrock.config['service-agent'].documents;
+        const {retention} = history;
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        try {
+          history.retention = 0;
+          await documentStore.upsert(
+            {content: {id}, meta: {type}, history: true});
+          await documentStore.upsert(
+            {content: {id}, meta: {type}, history: true});
+        } finally {
+          history.retention = retention;
+        }
+        // expired versions are not listed and are purged
+        const {versions} = await documentStore.listVersions({id});
+        versions.should.deep.equal([]);
+        const result = await documentPurges.sweep();
+        result.purged.should.be.at.least(1);
+        result.failed.should.equal(0);
+        const {documents} = await documentStore.edvClient.find({
+          equals: {'meta.versionOf': id, 'meta.type': 'DocumentVersion'}
+        });
+        documents.should.deep.equal([]);
+      });
+      it('deletes versions with a document', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert(
+          {content: {id}, meta: {type}, history: true});
+        await documentStore.upsert(
+          {content: {id}, meta: {type}, history: true});
+        let {versions} = await documentStore.listVersions({id});
+        versions.length.should.equal(1);
+
+        const {deleted} = await documentStore.delete({id, history: true});
+        deleted.should.equal(true);
+        ({versions} = await documentStore.listVersions({id}));
+        versions.length.should.equal(0);
+      });
+      it('fails to get a missing version', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        let err;
+        try {
+          await documentStore.getVersion(
+            {id: `urn:uuid:${crypto.randomUUID()}`, sequence: 0});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+    });
+    describe('soft delete', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      it('soft deletes and restores a document', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+
+        const {deleted} = await documentStore.delete({id, soft: true});
+        deleted.should.equal(true);
+
+        // soft deleted document is not found
+        let err;
+        try {
+          await documentStore.get({id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+        const {documents} = await documentStore.find({type});
+        documents.length.should.equal(0);
+
+        // deleting again does nothing
+        const result = await documentStore.delete({id, soft: true});
+        result.deleted.should.equal(false);
+
+        const restored = await documentStore.restore({id});
+        restored.content.should.deep.equal({id});
+        restored.meta.should.deep.equal({type});
+        const doc = await documentStore.get({id});
+        doc.meta.type.should.equal(type);
+      });
+      it('fails to restore a document that is not deleted', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+
+        let err;
+        try {
+          await documentStore.restore({id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+      it('replaces a soft deleted document on upsert', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id, old: true}, meta: {type}});
+        await documentStore.delete({id, soft: true});
+
+        const doc = await documentStore.upsert({content: {id}, meta: {type}});
+        doc.content.should.deep.equal({id});
+        doc.meta.should.deep.equal({type});
+      });
+      it('calls the precondition before replacing a document', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+        await documentStore.delete({id, soft: true});
+
+        let err;
+        let precondition;
+        try {
+          await documentStore.upsert({
+            content: {id}, meta: {type},
+            async precondition({doc}) {
+              precondition = doc;
+              throw new Error('Aborted.');
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal('Aborted.');
+        precondition.meta.type.should.equal(type);
+
+        // document is still deleted and can be restored
+        await documentStore.restore({id});
+      });
+      it('fails to restore a document after its retention', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+        await documentStore.delete({id, soft: true, retention: 0});
+
+        let err;
+        try {
+          await documentStore.restore({id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+      it('purges expired soft deleted documents', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const expiredId = `urn:uuid:${crypto.randomUUID()}`;
+        const retainedId = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id: expiredId}, meta: {type}});
+        await documentStore.upsert({content: {id: retainedId}, meta: {type}});
+        await documentStore.delete({id: expiredId, soft: true, retention: 0});
+        await documentStore.delete({id: retainedId, soft: true});
+
+        const result = await documentPurges.sweep();
+        result.purged.should.be.at.least(1);
+        result.failed.should.equal(0);
+
+        // expired document is gone, retained document can be restored
+        let err;
+        try {
+          await documentStore.restore({id: expiredId});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+        await documentStore.restore({id: retainedId});
+      });
+    });
+    describe('indexes', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      const indexes = [
+        {attribute: 'content.email', unique: true},
+        {attribute: ['content.group', 'content.rank']}
+      ];
+      before(async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        const docs = [
+          {email: 'a@example.com', group: 'x', rank: 1},
+          {email: 'b@example.com', group: 'x', rank: 2},
+          {email: 'c@example.com', group: 'y', rank: 1}
+        ];
+        for(const doc of docs) {
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`, ...doc},
+            meta: {type}
+          });
+        }
+      });
+      it('finds documents by an indexed attribute', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        const {documents} = await documentStore.find(
+          {equals: {'content.email': 'b@example.com'}});
+        documents.length.should.equal(1);
+        documents[0].content.email.should.equal('b@example.com');
+      });
+      it('finds documents using a compound index', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        const {documents: group} = await documentStore.find(
+          {type, equals: {'content.group': 'x'}});
+        group.length.should.equal(2);
+
+        const {documents} = await documentStore.find({
+          type, equals: {'content.group': 'x', 'content.rank': 2}
+        });
+        documents.length.should.equal(1);
+        documents[0].content.email.should.equal('b@example.com');
+      });
+      it('finds documents matching any filter', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        const {documents} = await documentStore.find({
+          equals: [
+            {'content.email': 'a@example.com'},
+            {'content.email': 'c@example.com'}
+          ]
+        });
+        documents.map(({content}) => content.email).sort().should.deep.equal(
+          ['a@example.com', 'c@example.com']);
+      });
+      it('finds documents that have an attribute', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        const {documents} = await documentStore.find(
+          {has: 'content.email', limit: 2});
+        documents.length.should.equal(2);
+      });
+      it('fails to insert a duplicate unique attribute', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        let err;
+        try {
+          await documentStore.upsert({
+            content: {
+              id: `urn:uuid:${crypto.randomUUID()}`, email: 'a@example.com'
+            },
+            meta: {type}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        err.details.attribute.should.equal('content.email');
+        err.details.httpStatusCode.should.equal(409);
+        err.details.public.should.equal(true);
+      });
+      it('fails to update to a duplicate unique attribute', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert(
+          {content: {id, email: 'd@example.com'}, meta: {type}});
+        let err;
+        try {
+          await documentStore.upsert(
+            {content: {id, email: 'a@example.com'}, meta: {type}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        err.details.attribute.should.equal('content.email');
+      });
+      it('fails to find with "has" and "type"', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        let err;
+        try {
+          await documentStore.find({type, has: 'content.email'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+      it('fails to find with "has" without an index', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example', indexes});
+        let err;
+        try {
+          await documentStore.find({has: 'content.name'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+      it('fails to ensure an invalid index', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        let err;
+        try {
+          documentStore.ensureIndexes({indexes: [{attribute: 'foo'}]});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+      });
+    });
+    describe('limits', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      const {documents: {limitsByServiceType}} =
+        bedrock.config['service-agent'];
+      afterEach(() => {
+        delete limitsByServiceType.example;
+      });
+      it('tracks document usage', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const serviceObjectId = config.id;
+        const before = await documentUsage.get({serviceObjectId});
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+        const created = await documentUsage.get({serviceObjectId});
+        created.documents.should.equal(before.documents + 1);
+        created.bytes.should.be.above(before.bytes);
+
+        await documentStore.upsert(
+          {content: {id, data: 'x'.repeat(100)}, meta: {type}});
+        const updated = await documentUsage.get({serviceObjectId});
+        updated.documents.should.equal(created.documents);
+        updated.bytes.should.equal(created.bytes + 'x'.repeat(100).length +
+          ',"data":""'.length);
+
+        await documentStore.delete({id});
+        const deleted = await documentUsage.get({serviceObjectId});
+        deleted.should.deep.equal(before);
+      });
+      it('fails to upsert a document that is too large', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        limitsByServiceType.example = {maxDocumentBytes: 100};
+        let err;
+        try {
+          await documentStore.upsert({
+            content: {
+              id: `urn:uuid:${crypto.randomUUID()}`, data: 'x'.repeat(100)
+            },
+            meta: {type}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+        err.details.httpStatusCode.should.equal(413);
+      });
+      it('fails to exceed the document quota', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const {documents} = await documentUsage.get(
+          {serviceObjectId: config.id});
+        limitsByServiceType.example = {maxDocuments: documents + 1};
+
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+        // updating an existing document is allowed
+        await documentStore.upsert(
+          {content: {id, updated: true}, meta: {type}});
+
+        let err;
+        try {
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`}, meta: {type}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('QuotaExceededError');
+        err.details.httpStatusCode.should.equal(413);
+
+        // usage is not changed by the failed upsert
+        const usage = await documentUsage.get({serviceObjectId: config.id});
+        usage.documents.should.equal(documents + 1);
+      });
+    });
+    describe('expiration', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      it('does not get an expired document', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert(
+          {content: {id}, meta: {type, expires: Date.now() + 100}});
+        const doc = await documentStore.get({id});
+        doc.content.should.deep.equal({id});
+
+        await new Promise(r => setTimeout(r, 200));
+        let err;
+        try {
+          await documentStore.get({id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+        const {documents} = await documentStore.find({type});
+        documents.length.should.equal(0);
+      });
+      it('purges expired documents', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert(
+          {content: {id}, meta: {type, expires: Date.now() - 1}});
+
+        const {purged} = await documentStore.purge();
+        purged.should.be.at.least(1);
+        const {documents} = await documentStore.edvClient.find(
+          {equals: {'content.id': id}});
+        documents.length.should.equal(0);
+      });
+      it('purges expired documents in batches', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const ids = [];
+        for(let i = 0; i < 5; ++i) {
+          const id = `urn:uuid:${crypto.randomUUID()}`;
+          ids.push(id);
+          await documentStore.upsert(
+            {content: {id}, meta: {type, expires: Date.now() - 1}});
+        }
+        const retainedId = `urn:uuid:${crypto.randomUUID()}`;
+        const expires = Date.now() + 60 * 60 * 1000;
+        await documentStore.upsert(
+          {content: {id: retainedId}, meta: {type, expires}});
+
+        const {purge} = bedrock.config['service-agent'].documents;
+        const {batchSize} = purge;
+        let result;
+        try {
+          purge.batchSize = 2;
+          result = await documentStore.purge();
+        } finally {
+          purge.batchSize = batchSize;
+        }
+        result.purged.should.be.at.least(5);
+        result.next.should.be.at.most(expires);
+        const {documents} = await documentStore.edvClient.find(
+          {equals: ids.map(id => ({'content.id': id}))});
+        documents.length.should.equal(0);
+        const doc = await documentStore.get({id: retainedId});
+        doc.content.id.should.equal(retainedId);
+      });
+      it('fails to upsert with an invalid "meta.expires"', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        let err;
+        try {
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`},
+            meta: {type, expires: new Date().toISOString()}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.include('meta.expires');
+      });
+    });
+    describe('usage', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      it('reconciles document usage in a sweep', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        await documentStore.upsert({
+          content: {id: `urn:uuid:${crypto.randomUUID()}`}, meta: {type}
+        });
+        // simulate drift in tracked usage
+        const serviceObjectId = config.id;
+        await documentUsage.add({serviceObjectId, documents: 5, bytes: 1000});
+
+        const {reconciled} = await documentUsage.sweep();
+        reconciled.should.be.at.least(1);
+        const usage = await documentUsage.get({serviceObjectId});
+        usage.should.deep.equal(await documentStore.computeUsage());
+      });
+      it('skips service objects for unregistered services', async () => {
+        const serviceObjectId = `urn:uuid:${crypto.randomUUID()}`;
+        await documentUsage.add({
+          serviceObjectId, serviceType: 'unregistered', documents: 1, bytes: 1
+        });
+        documentStores.getServiceTypes().should.include('example');
+        documentStores.getServiceTypes().should.not.include('unregistered');
+
+        const {failed} = await documentUsage.sweep();
+        failed.should.equal(0);
+        const usage = await documentUsage.get({serviceObjectId});
+        usage.should.deep.equal({documents: 1, bytes: 1});
+      });
+      it('reconciles document usage', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const serviceObjectId = config.id;
+        await documentUsage.add({serviceObjectId, documents: -1, bytes: -10});
+
+        const result = await documentUsage.reconcile(
+          {serviceType: 'example', serviceObjectId});
+        result.should.deep.equal(await documentStore.computeUsage());
+        const usage = await documentUsage.get({serviceObjectId});
+        usage.should.deep.equal(result);
+      });
+      it('computes document usage a batch at a time', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        for(let i = 0; i < 3; ++i) {
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`}, meta: {type}
+          });
+        }
+        const expected = await documentStore.computeUsage();
+
+        const {reconcile} = bedrock.config['service-agent'].documents.usage;
+        const {batchSize} = reconcile;
+        try {
+          reconcile.batchSize = 2;
+          (await documentStore.computeUsage()).should.deep.equal(expected);
+        } finally {
+          reconcile.batchSize = batchSize;
+        }
+      });
+      it('adds document storage to meter usage', async () => {
+        const {documents, bytes} = await documentUsage.get(
+          {serviceObjectId: config.id});
+        documents.should.be.above(0);
+        const usage = {storage: 1, operations: 0};
+        await documentUsage.addUsage({
+          config, storageCost: {document: 2, documentByte: 0.5}, usage
+        });
+        usage.storage.should.equal(1 + documents * 2 + Math.ceil(bytes / 2));
+      });
+      it('aggregates meter usage with document storage', async () => {
+        const service = documentStores.getService({serviceType: 'example'});
+        const meter = {id: config.meterId};
+        const usage = await documentUsage.aggregateUsage({meter, service});
+        const expected = await service.configStorage.getUsage(
+          {meterId: meter.id});
+        usage.storage.should.be.above(expected.storage);
+      });
+    });
+    describe('changes', () => {
+      const type = `urn:test:${crypto.randomUUID()}`;
+      const changes = [];
+      before(() => {
+        bedrock.events.on(
+          'bedrock-service-agent.document.changed', ({
+            serviceObjectId, serviceType, change
+          }) => {
+            if(serviceObjectId === config.id && change.type === type) {
+              serviceType.should.equal('example');
+              changes.push(change);
+            }
+          });
+      });
+      beforeEach(() => {
+        changes.length = 0;
+      });
+      it('emits document change events', async () => {
+        const {documentStore} = await documentStores.get(
+          {config, serviceType: 'example'});
+        const id = `urn:uuid:${crypto.randomUUID()}`;
+        await documentStore.upsert({content: {id}, meta: {type}});
+        const doc = await documentStore.upsert(
+          {content: {id, updated: true}, meta: {type}});
+        await documentStore.delete({id, soft: true});
+        await documentStore.restore({id});
+        await documentStore.delete({id});
+
+        changes.map(({operation}) => operation).should.deep.equal(
+          ['created', 'updated', 'deleted', 'restored', 'deleted']);
+        for(const change of changes) {
+          change.id.should.equal(id);
+          change.type.should.equal(type);
+          change.date.should.be.a('number');
+        }
+        changes[1].sequence.should.equal(doc.sequence);
+      });
+      it('delivers changes to a webhook', async () => {
+        const hookId = crypto.randomUUID();
+        const deliveries = [];
+        mockData.webhookRouteListeners.set(hookId, ({req, res}) => {
+          deliveries.push({headers: req.headers, body: req.body});
+          res.sendStatus(204);
+        });
+        const webhook = await webhooks.subscribe({
+          serviceType: 'example',
+          serviceObjectId: config.id,
+          url: `${baseUrl}/webhooks/${hookId}`,
+          operations: ['created']
+        });
+        try {
+          const {documentStore} = await documentStores.get(
+            {config, serviceType: 'example'});
+          const id = `urn:uuid:${crypto.randomUUID()}`;
+          await documentStore.upsert({content: {id}, meta: {type}});
+          await documentStore.delete({id});
+
+          // wait for delivery
+          for(let i = 0; i < 50 && deliveries.length === 0; ++i) {
+            await new Promise(r => setTimeout(r, 100));
+          }
+          deliveries.length.should.equal(1);
+          const [{headers, body}] = deliveries;
+          body.serviceObjectId.should.equal(config.id);
+          body.change.operation.should.equal('created');
+          body.change.id.should.equal(id);
+          headers['webhook-id'].should.equal(body.id);
+          should.exist(headers['webhook-timestamp']);
+          should.exist(headers['webhook-signature']);
+          // signing key must be resolvable so subscribers can verify it
+          const {serviceAgent} = await serviceAgents.get(
+            {serviceType: 'example'});
+          const keyId = headers['webhook-key-id'];
+          keyId.should.equal(serviceAgent.zcapInvocationKey.id);
+          const verificationMethod = await didIo.get({url: keyId});
+          verificationMethod.id.should.equal(keyId);
+          should.exist(verificationMethod.publicKeyMultibase);
+        } finally {
+          mockData.webhookRouteListeners.delete(hookId);
+          await webhooks.unsubscribe({id: webhook.id});
+        }
+      });
+      it('retries failed webhook deliveries', async () => {
+        const hookId = crypto.randomUUID();
+        let attempts = 0;
+        mockData.webhookRouteListeners.set(hookId, ({res}) => {
+          attempts++;
+          res.sendStatus(attempts === 1 ? 500 : 204);
+        });
+        const webhook = await webhooks.subscribe({
+          serviceType: 'example',
+          serviceObjectId: config.id,
+          url: `${baseUrl}/webhooks/${hookId}`
+        });
+        try {
+          const {documentStore} = await documentStores.get(
+            {config, serviceType: 'example'});
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`}, meta: {type}
+          });
+
+          // wait for failed delivery to be scheduled for a retry
+          let deliveries = [];
+          for(let i = 0; i < 50 && !deliveries[0]?.error; ++i) {
+            await new Promise(r => setTimeout(r, 100));
+            deliveries = await webhooks.getDeliveries(
+              {webhookId: webhook.id});
+          }
+          deliveries.length.should.equal(1);
+          deliveries[0].state.should.equal('pending');
+          deliveries[0].attempts.should.equal(1);
+          deliveries[0].after.should.be.above(Date.now());
+
+          // retry is not due yet, so sweep should not deliver it
+          await webhooks.sweep();
+          attempts.should.equal(1);
+        } finally {
+          mockData.webhookRouteListeners.delete(hookId);
+          await webhooks.unsubscribe({id: webhook.id});
+        }
+        const deliveries = await webhooks.getDeliveries(
+          {webhookId: webhook.id});
+        deliveries.length.should.equal(0);
+      });
+      it('queues webhook deliveries before a write completes', async () => {
+        const hookId = crypto.randomUUID();
+        let release;
+        const released = new Promise(r => release = r);
+        mockData.webhookRouteListeners.set(hookId, async ({res}) => {
+          await released;
+          res.sendStatus(204);
+        });
+        const webhook = await webhooks.subscribe({
+          serviceType: 'example',
+          serviceObjectId: config.id,
+          url: `${baseUrl}/webhooks/${hookId}`
+        });
+        try {
+          const {documentStore} = await documentStores.get(
+            {config, serviceType: 'example'});
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`}, meta: {type}
+          });
+          // the delivery is persisted while it is being sent
+          const deliveries = await webhooks.getDeliveries(
+            {webhookId: webhook.id});
+          deliveries.length.should.equal(1);
+          deliveries[0].state.should.equal('pending');
+        } finally {
+          release();
+          mockData.webhookRouteListeners.delete(hookId);
+          await webhooks.unsubscribe({id: webhook.id});
+        }
+      });
+      it('removes failed webhook deliveries after a retention', async () => {
+        const hookId = crypto.randomUUID();
+        mockData.webhookRouteListeners.set(hookId, ({res}) => {
+          res.sendStatus(500);
+        });
+        const webhook = await webhooks.subscribe({
+          serviceType: 'example',
+          serviceObjectId: config.id,
+          url: `${baseUrl}/webhooks/${hookId}`
+        });
+        const {webhooks: webhooksConfig} =
+          bedrock.config['service-agent'].documents;
+        const {maxAttempts} = webhooksConfig.retry;
+        try {
+          webhooksConfig.retry.maxAttempts = 1;
+          const {documentStore} = await documentStores.get(
+            {config, serviceType: 'example'});
+          const before = Date.now();
+          await documentStore.upsert({
+            content: {id: `urn:uuid:${crypto.randomUUID()}`}, meta: {type}
+          });
+
+          // wait for delivery to fail
+          let deliveries = [];
+          for(let i = 0; i < 50 && deliveries[0]?.state !== 'failed'; ++i) {
+            await new Promise(r => setTimeout(r, 100));
+            deliveries = await webhooks.getDeliveries(
+              {webhookId: webhook.id});
+          }
+          deliveries.length.should.equal(1);
+          deliveries[0].state.should.equal('failed');
+          deliveries[0].expires.should.be.at.least(
+            before + webhooksConfig.failedRetention);
+        } finally {
+          webhooksConfig.retry.maxAttempts = maxAttempts;
+          mockData.webhookRouteListeners.delete(hookId);
+          await webhooks.unsubscribe({id: webhook.id});
+        }
+      });
+      it('fails to subscribe with a non-HTTPS URL', async () => {
+        let err;
+        try {
+          await webhooks.subscribe({
+            serviceType: 'example',
+            serviceObjectId: config.id,
+            url: 'http://localhost/webhook'
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+    });
   });
 
   describe('ephemeral agent rotation', () => {
@@ -225,4 +1189,513 @@ describe('API', () => {
       serviceAgents._resetEphemeralAgentCache();
     });
   });
+
+  describe('service agent rotation', () => {
+    it('rotates a service agent', async () => {
+      // use a unique service type to avoid disturbing other tests
+      const serviceType = `rotate-${crypto.randomUUID()}`;
+      const initial = await initializeServiceAgent({serviceType});
+      initial.sequence.should.equal(0);
+
+      let err;
+      let result;
+      try {
+        result = await serviceAgents.rotate({serviceType});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.serviceType.should.equal(serviceType);
+      result.sequence.should.equal(1);
+      result.keystore.should.equal(initial.keystore);
+      result.id.should.not.equal(initial.id);
+      result.zcapInvocationKey.id.should.not.equal(
+        initial.zcapInvocationKey.id);
+      result.hmac.id.should.not.equal(initial.hmac.id);
+
+      // cached record should be replaced
+      const {serviceAgent} = await serviceAgents.get({serviceType});
+      serviceAgent.should.deep.equal(result);
+    });
+    it('rotates a service agent into a new keystore', async () => {
+      const serviceType = `rotate-${crypto.randomUUID()}`;
+      const initial = await initializeServiceAgent({serviceType});
+
+      const result = await serviceAgents.rotate({
+        serviceType, newKeystore: true
+      });
+      result.sequence.should.equal(1);
+      result.keystore.should.not.equal(initial.keystore);
+      result.id.should.not.equal(initial.id);
+    });
+    it('retires the previous service agent identity', async () => {
+      const serviceType = `rotate-${crypto.randomUUID()}`;
+      const initial = await initializeServiceAgent({serviceType});
+
+      await serviceAgents.rotate({serviceType});
+      const serviceAgent = await serviceAgents.rotate({serviceType});
+      serviceAgent.sequence.should.equal(2);
+      serviceAgent.retiredIdentities.should.have.length(2);
+      const [, retired] = serviceAgent.retiredIdentities;
+      retired.should.have.keys([
+        'id', 'keystore', 'zcapInvocationKey', 'hmac', 'retired'
+      ]);
+      retired.id.should.equal(initial.id);
+      retired.zcapInvocationKey.should.deep.equal(initial.zcapInvocationKey);
+      retired.hmac.should.deep.equal(initial.hmac);
+      retired.retired.should.be.a('number');
+
+      // signer should match zcap controller
+      const currentSigner = await serviceAgents.getInvocationSigner(
+        {serviceAgent});
+      currentSigner.id.should.equal(serviceAgent.zcapInvocationKey.id);
+      const retiredSigner = await serviceAgents.getInvocationSigner(
+        {serviceAgent, controller: initial.id});
+      retiredSigner.id.should.equal(initial.zcapInvocationKey.id);
+      let err;
+      try {
+        await serviceAgents.getInvocationSigner(
+          {serviceAgent, controller: 'did:example:unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('prunes retired service agent identities', async () => {
+      const serviceType = `rotate-${crypto.randomUUID()}`;
+      const initial = await initializeServiceAgent({serviceType});
+
+      const {retiredIdentities} = bedrock.config['service-agent'].rotate;
+      const {maxCount} = retiredIdentities;
+      retiredIdentities.maxCount = 2;
+      let serviceAgent;
+      try {
+        for(let i = 0; i < 3; ++i) {
+          serviceAgent = await serviceAgents.rotate({serviceType});
+        }
+      } finally {
+        retiredIdentities.maxCount = maxCount;
+      }
+      serviceAgent.sequence.should.equal(3);
+      serviceAgent.retiredIdentities.should.have.length(2);
+
+      // a pruned identity must not fall back to the current identity
+      let err;
+      try {
+        await serviceAgents.getInvocationSigner(
+          {serviceAgent, controller: initial.id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('fails to rotate an unknown service agent', async () => {
+      let err;
+      try {
+        await serviceAgents.rotate({serviceType: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('service agent DID methods', () => {
+    it('generates a "did:key" service agent by default', async () => {
+      const serviceType = `did-${crypto.randomUUID()}`;
+      const serviceAgent = await initializeServiceAgent({serviceType});
+      serviceAgent.id.should.match(/^did:key:z/);
+      serviceAgent.didMethod.should.equal('key');
+      serviceAgent.zcapInvocationKey.id.should.match(
+        new RegExp(`^${serviceAgent.id}#z`));
+    });
+    it('generates a resolvable service agent DID', async () => {
+      const serviceType = `did-${crypto.randomUUID()}`;
+      const serviceAgent = await initializeServiceAgent({serviceType});
+      const didDocument = await didIo.get({url: serviceAgent.id});
+      didDocument.id.should.equal(serviceAgent.id);
+      didDocument.capabilityInvocation.should.include(
+        serviceAgent.zcapInvocationKey.id);
+
+      // rotation should keep the same DID method and a resolvable DID
+      const rotated = await serviceAgents.rotate({serviceType});
+      rotated.didMethod.should.equal('key');
+      rotated.id.should.not.equal(serviceAgent.id);
+      const rotatedDidDocument = await didIo.get({url: rotated.id});
+      rotatedDidDocument.id.should.equal(rotated.id);
+    });
+    it('generates a "did:v1" service agent', async () => {
+      const serviceType = `did-${crypto.randomUUID()}`;
+      const serviceAgent = await initializeServiceAgent({
+        serviceType, didMethod: 'v1', didOptions: {mode: 'test'}
+      });
+      serviceAgent.id.should.match(/^did:v1:test:nym:z/);
+      serviceAgent.didMethod.should.equal('v1');
+      serviceAgent.didOptions.should.deep.equal({mode: 'test'});
+      const didDocument = await didIo.get({url: serviceAgent.id});
+      didDocument.id.should.equal(serviceAgent.id);
+      didDocument.capabilityInvocation.should.include(
+        serviceAgent.zcapInvocationKey.id);
+
+      // rotation should keep the same DID method and register the new DID
+      const rotated = await serviceAgents.rotate({serviceType});
+      rotated.id.should.match(/^did:v1:test:nym:z/);
+      rotated.id.should.not.equal(serviceAgent.id);
+      const rotatedDidDocument = await didIo.get({url: rotated.id});
+      rotatedDidDocument.id.should.equal(rotated.id);
+    });
+    it('fails to generate a "did:v1" with an invalid mode', async () => {
+      let err;
+      try {
+        await serviceAgents.generate({
+          serviceType: `did-${crypto.randomUUID()}`,
+          didMethod: 'v1', didOptions: {mode: 'dev'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.message.should.contain('mode must be one of');
+    });
+    it('fails to generate with an unsupported DID method', async () => {
+      let err;
+      try {
+        await serviceAgents.generate({
+          serviceType: 'unsupported', didMethod: 'unsupported'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('DID Method not supported');
+    });
+  });
+
+  describe('orphaned keystores', () => {
+    it('reclaims an orphaned keystore', async () => {
+      // expire provisioning leases immediately so concurrent calls each
+      // generate a service agent and all but one lose the race to insert it
+      const serviceType = `orphan-${crypto.randomUUID()}`;
+      const {lease} = bedrock.config['service-agent'].initialize;
+      const {ttl} = lease;
+      lease.ttl = 0;
+      const retries = [];
+      let results;
+      try {
+        results = await Promise.all([1, 2].map(
+          () => initializeServiceAgent({
+            serviceType,
+            onRetry: ({error}) => retries.push(error)
+          })));
+      } finally {
+        lease.ttl = ttl;
+      }
+      const [serviceAgent] = results;
+      results[1].should.deep.equal(serviceAgent);
+      retries.map(({name}) => name).should.include('DuplicateError');
+
+      // the losing keystore should have been recorded
+      const pending = await orphanedKeystores.getReport({state: 'pending'});
+      const orphans = pending.filter(r => r.serviceType === serviceType);
+      orphans.should.have.length(1);
+      const [orphan] = orphans;
+      orphan.keystoreId.should.not.equal(serviceAgent.keystore);
+
+      // the keystore in use must never be reclaimed
+      await orphanedKeystores.insert({
+        keystoreId: serviceAgent.keystore, serviceType
+      });
+
+      const result = await orphanedKeystores.sweep();
+      result.reclaimed.should.be.gte(1);
+      result.skipped.should.be.gte(1);
+
+      const report = await orphanedKeystores.getReport();
+      const reclaimed = report.find(r => r.keystoreId === orphan.keystoreId);
+      should.exist(reclaimed);
+      reclaimed.serviceType.should.equal(serviceType);
+      reclaimed.state.should.equal('reclaimed');
+      reclaimed.attempts.should.equal(1);
+      const skipped = report.find(
+        r => r.keystoreId === serviceAgent.keystore);
+      should.exist(skipped);
+      skipped.state.should.equal('skipped');
+
+      // service agent must still be usable
+      const signer = await serviceAgents.getInvocationSigner({serviceAgent});
+      const data = new TextEncoder().encode('test');
+      const signature = await signer.sign({data});
+      should.exist(signature);
+    });
+    it('defers a keystore until a service agent exists', async () => {
+      const serviceType = `orphan-${crypto.randomUUID()}`;
+      const serviceAgent = await serviceAgents.generate({serviceType});
+      await orphanedKeystores.insert(
+        {keystoreId: serviceAgent.keystore, serviceType});
+
+      const result = await orphanedKeystores.sweep();
+      result.deferred.should.be.gte(1);
+      const report = await orphanedKeystores.getReport({state: 'pending'});
+      const deferred = report.find(
+        r => r.keystoreId === serviceAgent.keystore);
+      should.exist(deferred);
+      deferred.attempts.should.equal(0);
+
+      // deferred keystore must not be claimed again in the same interval
+      await orphanedKeystores.sweep();
+      const [record] = (await orphanedKeystores.getReport()).filter(
+        r => r.keystoreId === serviceAgent.keystore);
+      record.state.should.equal('pending');
+    });
+    it('records keystores of pruned retired identities', async () => {
+      const serviceType = `orphan-${crypto.randomUUID()}`;
+      const initial = await initializeServiceAgent({serviceType});
+
+      const {retiredIdentities} = bedrock.config['service-agent'].rotate;
+      const {maxCount} = retiredIdentities;
+      retiredIdentities.maxCount = 0;
+      let serviceAgent;
+      try {
+        serviceAgent = await serviceAgents.rotate(
+          {serviceType, newKeystore: true});
+      } finally {
+        retiredIdentities.maxCount = maxCount;
+      }
+      serviceAgent.retiredIdentities.should.have.length(0);
+
+      const pending = await orphanedKeystores.getReport({state: 'pending'});
+      const orphans = pending.filter(r => r.serviceType === serviceType);
+      orphans.map(r => r.keystoreId).should.deep.equal([initial.keystore]);
+    });
+  });
+
+  describe('initialize service agent', () => {
+    it('returns an existing service agent', async () => {
+      const serviceType = 'example';
+      const {serviceAgent: expected} = await serviceAgents.get({serviceType});
+      const onRetry = () => {
+        throw new Error('"onRetry" should not be called.');
+      };
+      const serviceAgent = await initializeServiceAgent({
+        serviceType, retry: {maxAttempts: 1}, onRetry
+      });
+      serviceAgent.should.deep.equal(expected);
+    });
+    it('provisions a single service agent concurrently', async () => {
+      const serviceType = `init-${crypto.randomUUID()}`;
+      const retries = [];
+      const results = await Promise.all([1, 2, 3].map(
+        () => initializeServiceAgent({
+          serviceType,
+          onRetry: ({error}) => retries.push(error)
+        })));
+      const [serviceAgent] = results;
+      for(const result of results) {
+        result.should.deep.equal(serviceAgent);
+      }
+      // processes that did not hold the lease should have waited
+      retries.length.should.be.gte(2);
+      for(const error of retries) {
+        error.name.should.equal('InvalidStateError');
+      }
+
+      // no keystores should have been orphaned
+      const report = await orphanedKeystores.getReport();
+      report.filter(r => r.serviceType === serviceType).should.have.length(0);
+    });
+    it('fails with an aborted signal', async () => {
+      const serviceType = `init-${crypto.randomUUID()}`;
+      const controller = new AbortController();
+      controller.abort();
+      let err;
+      try {
+        await initializeServiceAgent({serviceType, signal: controller.signal});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('AbortError');
+    });
+    it('fails with a timed out signal', async () => {
+      const serviceType = `init-${crypto.randomUUID()}`;
+      const signal = AbortSignal.timeout(0);
+      await new Promise(r => setTimeout(r, 10));
+      let err;
+      try {
+        await initializeServiceAgent({serviceType, signal});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TimeoutError');
+      err.details.httpStatusCode.should.equal(503);
+    });
+  });
+
+  describe('provisioned service agents', () => {
+    let generated;
+    before(async () => {
+      // generate keystore and keys without inserting a service agent
+      generated = await serviceAgents.generate({
+        serviceType: `provisioned-${crypto.randomUUID()}`
+      });
+    });
+    it('initializes a provisioned service agent', async () => {
+      const serviceType = `provisioned-${crypto.randomUUID()}`;
+      const {keystore, zcapInvocationKey, hmac} = generated;
+      const serviceAgent = await initializeServiceAgent({
+        serviceType,
+        provisioned: {keystore, zcapInvocationKey, hmac}
+      });
+      serviceAgent.id.should.equal(generated.id);
+      serviceAgent.serviceType.should.equal(serviceType);
+      serviceAgent.keystore.should.equal(keystore);
+      serviceAgent.didMethod.should.equal('key');
+      serviceAgent.sequence.should.equal(0);
+
+      // initializing again should return the same service agent
+      const again = await initializeServiceAgent({
+        serviceType,
+        provisioned: {keystore, zcapInvocationKey, hmac}
+      });
+      again.should.deep.equal(serviceAgent);
+    });
+    it('fails with a mismatched key type', async () => {
+      const serviceType = `provisioned-${crypto.randomUUID()}`;
+      const {keystore, zcapInvocationKey, hmac} = generated;
+      let err;
+      try {
+        await initializeServiceAgent({
+          serviceType,
+          provisioned: {
+            keystore,
+            zcapInvocationKey: {
+              ...zcapInvocationKey, type: 'Sha256HmacKey2019'
+            },
+            hmac
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.message.should.contain('does not match KMS key type');
+    });
+    it('fails with an unsupported DID method', async () => {
+      const serviceType = `provisioned-${crypto.randomUUID()}`;
+      const {keystore, zcapInvocationKey, hmac} = generated;
+      let err;
+      try {
+        await initializeServiceAgent({
+          serviceType,
+          provisioned: {
+            keystore, zcapInvocationKey, hmac, didMethod: 'unknown'
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.message.should.contain('is not supported');
+    });
+    it('fails with a key from another keystore', async () => {
+      const serviceType = `provisioned-${crypto.randomUUID()}`;
+      const {serviceAgent: other} = await serviceAgents.get(
+        {serviceType: 'example'});
+      const {keystore, zcapInvocationKey} = generated;
+      let err;
+      try {
+        await initializeServiceAgent({
+          serviceType,
+          provisioned: {keystore, zcapInvocationKey, hmac: other.hmac}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.message.should.contain('is not in keystore');
+    });
+  });
+
+  describe('service agent verification', () => {
+    it('verifies a service agent', async () => {
+      const result = await serviceAgents.verify({serviceType: 'example'});
+      result.verified.should.equal(true);
+      result.serviceAgent.serviceType.should.equal('example');
+      result.checks.should.have.keys(['keystore', 'zcapInvocationKey', 'hmac']);
+      for(const check of Object.values(result.checks)) {
+        check.verified.should.equal(true);
+      }
+    });
+    it('fails to verify an unknown service agent', async () => {
+      let err;
+      try {
+        await serviceAgents.verify({serviceType: 'unknown'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('list service agents', () => {
+    before(async () => {
+      // ensure there are enough service agents for multiple pages
+      for(let i = 0; i < 3; ++i) {
+        await initializeServiceAgent(
+          {serviceType: `list-${crypto.randomUUID()}`});
+      }
+    });
+    it('lists service agents', async () => {
+      const {serviceAgents: results} = await serviceAgents.list();
+      results.length.should.be.gte(4);
+      const example = results.find(r => r.serviceType === 'example');
+      should.exist(example);
+      example.should.have.keys([
+        'id', 'serviceType', 'keystore', 'sequence', 'created', 'updated'
+      ]);
+    });
+    it('lists service agents using a cursor', async () => {
+      const {serviceAgents: all} = await serviceAgents.list({limit: 1000});
+      const seen = [];
+      let cursor;
+      do {
+        const result = await serviceAgents.list({limit: 2, cursor});
+        result.serviceAgents.length.should.be.lte(2);
+        seen.push(...result.serviceAgents.map(r => r.serviceType));
+        ({cursor} = result);
+      } while(cursor);
+      seen.should.eql(all.map(r => r.serviceType));
+      seen.should.eql([...seen].sort());
+    });
+    it('fails to list with an invalid cursor', async () => {
+      let err;
+      try {
+        await serviceAgents.list({cursor: 'invalid'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+    it('fails to list with an invalid limit', async () => {
+      let err;
+      try {
+        await serviceAgents.list({limit: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
 });
@@ -208,6 +208,41 @@ export async function revokeDelegatedCapability({
   return zcapClient.write({url, json: capabilityToRevoke});
 }
 
+// reads server-sent events from a streamed response until `count` events
+// (with `event` fields) have been read, then closes the stream
+export async function readServerSentEvents({response, count}) {
+  const reader = response.body.pipeThrough(new TextDecoderStream())
+    .getReader();
+  const events = [];
+  let buffer = '';
+  try {
+    while(events.length < count) {
+      const {value, done} = await reader.read();
+      if(done) {
+        break;
+      }
+      buffer += value;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for(const block of blocks) {
+        const event = {};
+        for(const line of block.split('\n')) {
+          const index = line.indexOf(': ');
+          if(index > 0) {
+            event[line.slice(0, index)] = line.slice(index + 2);
+          }
+        }
+        if(event.event) {
+          events.push(event);
+        }
+      }
+    }
+  } finally {
+    await reader.cancel();
+  }
+  return events;
+}
+
 async function keyResolver({id}) {
   // support DID-based keys only
   if(id.startsWith('did:')) {
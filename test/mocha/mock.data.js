@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 
@@ -9,6 +9,8 @@ export const mockData = {};
 mockData.refreshHandlerListeners = new Map();
 mockData.zcapRefreshRouteListeners = new Map();
 mockData.zcapRefreshPolicyRouteListeners = new Map();
+mockData.documentWriteListeners = new Map();
+mockData.webhookRouteListeners = new Map();
 
 // mock product IDs and reverse lookup for service products
 mockData.productIdMap = new Map([
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2022-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 import {fileURLToPath} from 'node:url';
@@ -46,3 +46,10 @@ config['service-core'].configStorage.refresh.interval = 100;
 
 // use local KMS for testing
 config['service-agent'].kms.baseUrl = 'https://localhost:18443/kms';
+
+// enable service agent verification route
+config['service-agent'].routes.verifyServiceAgent =
+  '/service-agents/:serviceType/verify';
+
+// include keys in service agent descriptors
+config['service-agent'].serviceAgentDescriptor.includeKeys = true;
@@ -1,9 +1,9 @@
 /*!
- * Copyright (c) 2022-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import {
-  addDocumentRoutes, initializeServiceAgent
+  addDocumentRoutes, documentUsage, initializeServiceAgent
 } from '@bedrock/service-agent';
 import {createService, schemas} from '@bedrock/service-core';
 import {asyncHandler} from '@bedrock/express';
@@ -48,8 +48,13 @@ bedrock.events.on('bedrock.init', async () => {
     routePrefix: '/examples',
     storageCost: {
       config: 1,
-      revocation: 1
+      revocation: 1,
+      document: 1,
+      documentByte: 0.001
     },
+    // include storage used by documents in meter usage
+    usageAggregator: ({meter, signal}) =>
+      documentUsage.aggregateUsage({meter, signal, service}),
     validation: {
       // require these zcaps (by reference ID)
       zcapReferenceIds: [{
@@ -109,9 +114,9 @@ bedrock.events.on('bedrock.init', async () => {
         data: {type: 'object'}
       }
     };
+    // `sequence` is optional as an `If-Match` header can be used instead
     const updateBodySchema = {
       ...createBodySchema,
-      required: ['id', 'sequence', 'data'],
       properties: {
         ...createBodySchema.properties,
         sequence: {
@@ -133,6 +138,124 @@ bedrock.events.on('bedrock.init', async () => {
       updateBodySchema
     });
 
+    // documents with server-generated IDs
+    addDocumentRoutes({
+      app, service,
+      type: 'GeneratedIdDocumentType',
+      typeName: 'Generated ID Document',
+      contentProperty: 'data',
+      basePath: '/generated-id-docs',
+      pathParam: 'generatedId',
+      createBodySchema: {...createBodySchema, required: ['data']},
+      updateBodySchema,
+      idGenerator: 'urn:uuid'
+    });
+
+    // documents with lifecycle hooks
+    addDocumentRoutes({
+      app, service,
+      type: 'HookedDocumentType',
+      typeName: 'Hooked Document',
+      contentProperty: 'data',
+      basePath: '/hooked-docs',
+      pathParam: 'hookedId',
+      createBodySchema,
+      updateBodySchema,
+      hooks: {
+        async beforeCreate({content}) {
+          _assertValidHookedData({data: content.data});
+        },
+        async beforeUpdate({doc, content}) {
+          _assertValidHookedData({data: content.data});
+          if(doc.content.data.locked) {
+            throw new BedrockError('Document is locked.', {
+              name: 'NotAllowedError',
+              details: {httpStatusCode: 403, public: true}
+            });
+          }
+        },
+        async afterWrite({doc, operation}) {
+          const fn = mockData.documentWriteListeners.get(doc.content.id);
+          await fn?.({doc, operation});
+        },
+        transformResponse({content}) {
+          // redact secrets
+          const data = {...content.data};
+          delete data.secret;
+          return {...content, data};
+        }
+      }
+    });
+
+    // documents with version history
+    addDocumentRoutes({
+      app, service,
+      type: 'VersionedDocumentType',
+      typeName: 'Versioned Document',
+      contentProperty: 'data',
+      basePath: '/versioned-docs',
+      pathParam: 'versionedId',
+      createBodySchema,
+      updateBodySchema,
+      history: true
+    });
+
+    // documents that can be restored after deletion
+    addDocumentRoutes({
+      app, service,
+      type: 'RecoverableDocumentType',
+      typeName: 'Recoverable Document',
+      contentProperty: 'data',
+      basePath: '/recoverable-docs',
+      pathParam: 'recoverableId',
+      createBodySchema,
+      updateBodySchema,
+      softDelete: true
+    });
+
+    // short-lived documents
+    addDocumentRoutes({
+      app, service,
+      type: 'ExpiringDocumentType',
+      typeName: 'Expiring Document',
+      contentProperty: 'data',
+      basePath: '/expiring-docs',
+      pathParam: 'expiringId',
+      createBodySchema,
+      updateBodySchema,
+      ttl: 500
+    });
+
+    // documents with a unique indexed attribute
+    addDocumentRoutes({
+      app, service,
+      type: 'IndexedDocumentType',
+      typeName: 'Indexed Document',
+      contentProperty: 'data',
+      basePath: '/indexed-docs',
+      pathParam: 'indexedId',
+      createBodySchema,
+      updateBodySchema,
+      indexes: [{attribute: 'content.data.email', unique: true}]
+    });
+
+    // webhook routes
+    app.post('/webhooks/:hookId', asyncHandler(async (req, res) => {
+      const {hookId} = req.params;
+      const fn = mockData.webhookRouteListeners.get(hookId);
+      if(fn) {
+        await fn({req, res});
+      } else {
+        throw new BedrockError('Webhook not found.', {
+          name: 'NotFoundError',
+          details: {
+            httpStatusCode: 404,
+            public: true
+          }
+        });
+      }
+    }));
+
     // zcap refresh routes
     const refreshRoute =
       '/profiles/:profileId/zcaps/policies/:delegateId/refresh';
@@ -170,6 +293,15 @@ bedrock.events.on('bedrock.init', async () => {
   });
 });
 
+function _assertValidHookedData({data}) {
+  if(data.min > data.max) {
+    throw new BedrockError('"min" must not be greater than "max".', {
+      name: 'DataError',
+      details: {httpStatusCode: 400, public: true}
+    });
+  }
+}
+
 // normally a service agent should be created on `bedrock-mongodb.ready`,
 // however, since the KMS system used is local, we have to wait for it to
 // be ready; so only do this on `bedrock.ready`